@@ -0,0 +1,52 @@
+import { DEFAULTS, listProviders, hasProviderKey, askProvider, nowMs } from './providers.js';
+import { runWithRetries } from './retry.js';
+import { loadRetryPolicy, resolveSettings, withOverrides } from './config.js';
+import { costUsd } from './pricing.js';
+import { checkReply } from './schema.js';
+
+// Fan one prompt out to several providers in parallel, with retries and a per-attempt timeout.
+// `models` maps provider id -> model for every provider to ask; providers without a key are skipped.
+// Sampling settings left undefined come from `profile` (and the config files under it) or DEFAULTS.
+// `attachments` (see src/attachments.js) go to every provider; a model that cannot read one fails on its own.
+// `tools` names local tools (src/tools.js) the models may call; each result then carries the `tools` trace.
+// With a `schema` (src/schema.js) each answer is JSON, and its result carries `parsed` and `validationErrors`.
+// A `history` too long for a model is fitted per the `context` setting, and its result then carries `historyTrim` (src/context.js).
+// Answers come from the response cache (src/cache.js) unless `cache` is false; a cached one is marked `cached: true` and has no costUsd.
+// Resolves to { [providerId]: { provider, model, params, ok, text?, usage?, costUsd?, cached?, tools?, parsed?, validationErrors?,
+// historyTrim?, error?, errorCategory?, attempts, latencyMs } }.
+export async function askProviders({ prompt, history, attachments, tools, schema, cache, models, profile, signal, ...overrides }) {
+  const results = {};
+  const jobs = [];
+  for (const provider of listProviders()) {
+    if (!(provider.id in models) || !hasProviderKey(provider)) continue;
+    const model = models[provider.id] || provider.defaultModel;
+    const base = profile ? resolveSettings({ providerId: provider.id, model, profile }) : DEFAULTS;
+    const { system, temperature, maxTokens, timeoutMs, context } = withOverrides(base, overrides);
+    const startedAt = nowMs();
+    jobs.push(runWithRetries(
+      provider.label,
+      (attemptSignal) => askProvider(provider, { prompt, system, model, temperature, maxTokens, history, context, attachments, tools, schema, cache, signal: attemptSignal }),
+      { timeoutMs, policy: loadRetryPolicy(provider.id), signal }
+    ).then((r) => {
+      results[provider.id] = {
+        provider: provider.id,
+        model,
+        params: { system, temperature, maxTokens },
+        ok: r.ok,
+        text: r.ok ? r.value.text : undefined,
+        usage: r.ok ? r.value.usage : undefined,
+        costUsd: r.ok && !r.value.cached ? costUsd(model, r.value.usage) : undefined,
+        cached: r.ok ? r.value.cached : undefined,
+        tools: r.ok ? r.value.tools : undefined,
+        ...(r.ok && schema ? checkReply(schema, r.value.text) : {}),
+        historyTrim: r.ok ? r.value.historyTrim : undefined,
+        error: r.ok ? undefined : String(r.error?.message || r.error),
+        errorCategory: r.errorCategory,
+        attempts: r.attempts,
+        latencyMs: nowMs() - startedAt,
+      };
+    }));
+  }
+  await Promise.all(jobs);
+  return results;
+}
@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+import { modelParams } from './catalog.js';
+
+// Files sent along with a prompt: { name, mimeType, data } with `data` base64-encoded.
+// Images and PDFs go to the model in its provider's multimodal format when the catalog lists
+// the kind in the model's `inputs`; text files are inlined into the prompt for every model.
+
+// Per file, before base64 (the JSON body limit in src/server.js leaves room for a few of these)
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// Image types every provider accepts
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+const TYPES_BY_EXT = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.xml': 'application/xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+};
+
+const TEXT_APPLICATION_TYPES = new Set(['application/json', 'application/xml', 'application/yaml', 'application/javascript', 'application/x-sh']);
+
+// "image", "pdf" or "text"; null for files we cannot send
+export function attachmentKind({ mimeType }) {
+  if (IMAGE_TYPES.includes(mimeType)) return 'image';
+  if (mimeType === 'application/pdf') return 'pdf';
+  if (mimeType?.startsWith('text/') || TEXT_APPLICATION_TYPES.has(mimeType)) return 'text';
+  return null;
+}
+
+// Browsers and file names do not always say what a file is; anything that decodes as UTF-8 without
+// NUL bytes is treated as plain text (source files, logs, ...)
+function detectType(name, mimeType, bytes) {
+  if (mimeType && attachmentKind({ mimeType })) return mimeType;
+  const byExt = TYPES_BY_EXT[path.extname(name || '').toLowerCase()];
+  if (byExt) return byExt;
+  if (!bytes.includes(0)) {
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+      return 'text/plain';
+    } catch {
+      // Binary
+    }
+  }
+  return null;
+}
+
+function toAttachment(name, mimeType, bytes) {
+  if (bytes.length > MAX_ATTACHMENT_BYTES) {
+    throw new Error(`${name} is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`);
+  }
+  const type = detectType(name, mimeType, bytes);
+  if (!type) {
+    throw new Error(`${name}: unsupported file type${mimeType ? ` ${mimeType}` : ''} (use images, PDFs or text files)`);
+  }
+  return { name, mimeType: type, data: bytes.toString('base64') };
+}
+
+// For --file in the CLI
+export function readAttachmentFile(filePath) {
+  let bytes;
+  try {
+    bytes = fs.readFileSync(filePath);
+  } catch (err) {
+    throw new Error(`Cannot read ${filePath}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+  }
+  return toAttachment(path.basename(filePath), undefined, bytes);
+}
+
+// Validate attachments from a request body: { ok, value } or { ok: false, error }
+export function parseAttachments(list) {
+  if (list === undefined || list === null) return { ok: true, value: [] };
+  if (!Array.isArray(list)) return { ok: false, error: 'attachments must be an array' };
+  const value = [];
+  for (const [index, item] of list.entries()) {
+    if (!item || typeof item.data !== 'string' || !item.data) {
+      return { ok: false, error: `attachments[${index}] needs base64 "data"` };
+    }
+    const name = typeof item.name === 'string' && item.name ? path.basename(item.name) : `file-${index + 1}`;
+    try {
+      value.push(toAttachment(name, typeof item.mimeType === 'string' ? item.mimeType : undefined, Buffer.from(item.data, 'base64')));
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  }
+  return { ok: true, value };
+}
+
+// What a session thread keeps of an attachment: the bytes are only sent with the message itself
+export function describeAttachments(attachments) {
+  if (!attachments?.length) return undefined;
+  return attachments.map(({ name, mimeType, data }) => ({ name, mimeType, size: Buffer.byteLength(data, 'base64') }));
+}
+
+function unsupportedAttachment(message) {
+  const error = new Error(message);
+  error.name = 'UnsupportedAttachmentError';
+  return error;
+}
+
+// Split attachments for one model: text files are inlined into the prompt, images and PDFs are
+// returned as `media` for the adapter to encode. Throws when the model cannot read one of them,
+// so only that card or provider fails.
+export function prepareAttachments({ prompt, attachments, model }) {
+  if (!attachments?.length) return { prompt, media: [] };
+  const { inputs } = modelParams(model);
+  const texts = [];
+  const media = [];
+  const unsupported = [];
+  for (const attachment of attachments) {
+    const kind = attachmentKind(attachment);
+    if (kind === 'text') texts.push(attachment);
+    else if (inputs.includes(kind)) media.push({ ...attachment, kind });
+    else unsupported.push(attachment);
+  }
+  if (unsupported.length) {
+    const kinds = [...new Set(unsupported.map((a) => (attachmentKind(a) === 'pdf' ? 'PDF' : 'image')))].join(' or ');
+    throw unsupportedAttachment(`${model} does not accept ${kinds} attachments (${unsupported.map((a) => a.name).join(', ')})`);
+  }
+  const inlined = texts.map((a) => `--- ${a.name} ---\n${Buffer.from(a.data, 'base64').toString('utf8').replace(/\n$/, '')}\n--- end of ${a.name} ---`);
+  return { prompt: [...inlined, prompt].join('\n\n'), media };
+}
+
+export function dataUrl({ mimeType, data }) {
+  return `data:${mimeType};base64,${data}`;
+}
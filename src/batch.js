@@ -0,0 +1,185 @@
+import fs from 'fs';
+import { listProviders, getProvider, hasProviderKey, missingKeyMessage } from './providers.js';
+import { askProviders } from './ask.js';
+import { getProfile } from './config.js';
+import { getTemplate, renderTemplate } from './templates.js';
+import { resolveTools } from './tools.js';
+import { isTransient } from './retry.js';
+
+// Batch runs: one prompt per JSONL input line, fanned out to every enabled provider.
+// Input line:  { id?, prompt, system?, models?: { openai: "gpt-4o" }, providers?: ["openai", "claude"] | { claude: false },
+//                profile?, temperature?, maxTokens?, timeoutMs?, tools?: ["calculator"] }
+//              or { id?, template: "explain", vars?: { topic: "CRDTs" }, ... } instead of a prompt (see src/templates.js);
+//              the line's own system wins over the template's
+// Output line: { id, provider, model, ok, text?, error?, errorCategory?, attempts, latencyMs, usage?, costUsd?, cached?, tools?,
+//               parsed?, validationErrors?, at }
+// Results are appended as soon as each prompt x provider pair finishes, so a crashed or interrupted
+// run resumes by skipping the pairs already in the output file. Pairs that failed with a transient error
+// (timeout, rate limit, server or network) run again, and their new row replaces the failed one.
+
+export function defaultOutputPath(inputPath) {
+  return inputPath.replace(/\.jsonl$/i, '') + '.results.jsonl';
+}
+
+// Parse the input file; bad lines are reported instead of aborting the whole run
+export function readBatchFile(inputPath) {
+  const items = [];
+  const problems = [];
+  const lines = fs.readFileSync(inputPath, 'utf8').split('\n');
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    const lineNo = index + 1;
+    let item;
+    try {
+      item = JSON.parse(line);
+    } catch (err) {
+      problems.push(`line ${lineNo}: invalid JSON (${err.message})`);
+      return;
+    }
+    if (item && typeof item.template === 'string') {
+      const template = getTemplate(item.template);
+      if (!template) {
+        problems.push(`line ${lineNo}: unknown template "${item.template}"`);
+        return;
+      }
+      try {
+        const rendered = renderTemplate(template, item.vars && typeof item.vars === 'object' ? item.vars : {});
+        item = { ...item, prompt: rendered.prompt, system: item.system ?? rendered.system };
+      } catch (err) {
+        problems.push(`line ${lineNo}: ${err.message}`);
+        return;
+      }
+    }
+    if (!item || typeof item.prompt !== 'string' || !item.prompt.trim()) {
+      problems.push(`line ${lineNo}: missing "prompt" (or "template")`);
+      return;
+    }
+    if (item.tools !== undefined) {
+      try {
+        if (!Array.isArray(item.tools)) throw new Error('"tools" must be a list of tool names');
+        resolveTools(item.tools);
+      } catch (err) {
+        problems.push(`line ${lineNo}: ${err.message}`);
+        return;
+      }
+    }
+    items.push({ ...item, id: String(item.id ?? lineNo) });
+  });
+  return { items, problems };
+}
+
+function pairKey(id, providerId) {
+  return `${id}\t${providerId}`;
+}
+
+// Rows written by an earlier run as [{ line, key, done }], keyed "id\tprovider"; a pair is done when it
+// succeeded or failed for good
+function previousRows(outputPath) {
+  const rows = [];
+  if (!fs.existsSync(outputPath)) return rows;
+  for (const line of fs.readFileSync(outputPath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const row = JSON.parse(line);
+      const key = row?.id !== undefined && row.provider ? pairKey(row.id, row.provider) : null;
+      rows.push({ line, key, done: Boolean(key) && (row.ok === true || !isTransient(row.errorCategory)) });
+    } catch {
+      // A crash can leave a truncated last line; that pair simply runs again
+    }
+  }
+  return rows;
+}
+
+// Providers for one input line: its own selection narrows the CLI defaults, its models override them
+function providersFor(item, defaults) {
+  let ids = Object.keys(defaults);
+  if (Array.isArray(item.providers)) {
+    ids = item.providers.filter((id) => getProvider(id));
+  } else if (item.providers && typeof item.providers === 'object') {
+    const picked = listProviders().map((p) => p.id).filter((id) => item.providers[id] === true);
+    ids = [...new Set([...ids, ...picked])].filter((id) => item.providers[id] !== false);
+  }
+  return ids.map((id) => ({ id, model: item.models?.[id] || defaults[id] || getProvider(id).defaultModel }));
+}
+
+// Run a small task queue with at most `concurrency` tasks in flight
+export async function runPool(tasks, concurrency, signal) {
+  let next = 0;
+  async function worker() {
+    while (next < tasks.length && !signal?.aborted) {
+      const task = tasks[next++];
+      await task();
+    }
+  }
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, tasks.length)) }, worker));
+}
+
+// options: { inputPath, outputPath, models: { providerId: model }, attachments, tools, schema, profile, system, temperature, maxTokens,
+//            timeoutMs, cache, concurrency, resume, signal, onResult(row, progress), onSkip(message) }
+// `attachments` (from --file) and `schema` (from --schema) apply to every prompt; `tools` (from --tools) to lines without their own.
+// Resolves to { total, skipped, ok, failed, outputPath }.
+export async function runBatch(options) {
+  const { inputPath, models, concurrency = 4, resume = true, signal, onResult, onSkip } = options;
+  const outputPath = options.outputPath || defaultOutputPath(inputPath);
+  const { items, problems } = readBatchFile(inputPath);
+  problems.forEach((p) => onSkip?.(p));
+
+  if (!resume) fs.writeFileSync(outputPath, '');
+  const previous = resume ? previousRows(outputPath) : [];
+  const done = new Set(previous.filter((row) => row.done).map((row) => row.key));
+
+  const tasks = [];
+  const unconfigured = new Set();
+  let skipped = 0;
+  for (const item of items) {
+    if (item.profile && !getProfile(item.profile)) {
+      onSkip?.(`${item.id}: unknown profile "${item.profile}"`);
+      continue;
+    }
+    for (const { id: providerId, model } of providersFor(item, models)) {
+      if (done.has(pairKey(item.id, providerId))) {
+        skipped += 1;
+        continue;
+      }
+      const provider = getProvider(providerId);
+      if (!hasProviderKey(provider)) {
+        // Report each unconfigured provider once, not once per prompt
+        if (!unconfigured.has(providerId)) onSkip?.(`${provider.label}: ${missingKeyMessage(provider)}`);
+        unconfigured.add(providerId);
+        continue;
+      }
+      tasks.push({ item, providerId, model });
+    }
+  }
+
+  // Failed rows of the pairs that run again are dropped, so each pair is reported once
+  const rerun = new Set(tasks.map(({ item, providerId }) => pairKey(item.id, providerId)));
+  const kept = previous.filter((row) => !rerun.has(row.key));
+  if (kept.length < previous.length) fs.writeFileSync(outputPath, kept.map((row) => `${row.line}\n`).join(''));
+
+  const summary = { total: tasks.length, skipped, ok: 0, failed: 0, outputPath };
+  await runPool(tasks.map(({ item, providerId, model }) => async () => {
+    const results = await askProviders({
+      prompt: item.prompt,
+      system: item.system ?? options.system,
+      attachments: options.attachments,
+      tools: item.tools ?? options.tools,
+      schema: options.schema,
+      cache: options.cache,
+      models: { [providerId]: model },
+      profile: item.profile ?? options.profile,
+      temperature: typeof item.temperature === 'number' ? item.temperature : options.temperature,
+      maxTokens: typeof item.maxTokens === 'number' ? item.maxTokens : options.maxTokens,
+      timeoutMs: typeof item.timeoutMs === 'number' ? item.timeoutMs : options.timeoutMs,
+      signal,
+    });
+    const r = results[providerId];
+    // An interrupted call is not a result; leave it for the next run
+    if (!r || r.errorCategory === 'cancelled') return;
+    const row = { id: item.id, ...r, at: new Date().toISOString() };
+    fs.appendFileSync(outputPath, JSON.stringify(row) + '\n');
+    if (r.ok) summary.ok += 1; else summary.failed += 1;
+    onResult?.(row, { finished: summary.ok + summary.failed, total: summary.total });
+  }), concurrency, signal);
+  return summary;
+}
@@ -0,0 +1,146 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { answerRequest, requestFileName, fixturesMode } from './fixtures.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..');
+
+// On-disk cache of answers, so a request identical to an earlier one (same provider, model, system, history,
+// prompt, sampling settings, attachments, tools, schema and the provider's cacheScope, e.g. its endpoint) is
+// answered without calling the provider again.
+// Entries are <CACHE_DIR or data/cache>/<provider>/<model>-<hash>.json and expire CACHE_TTL_MS after they were
+// written (default one day); CACHE_TTL_MS=0 turns the cache off. A request with `cache: false` (--no-cache,
+// the web UI's Cache toggle) neither reads nor writes it. Offline adapters (the mock provider) and runs that
+// record or replay fixtures (src/fixtures.js) are never cached.
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+let warnedTtl = null;
+
+export function cacheTtlMs() {
+  const raw = process.env.CACHE_TTL_MS;
+  if (raw === undefined || raw === '') return DEFAULT_TTL_MS;
+  const ttl = Number(raw);
+  if (Number.isFinite(ttl) && ttl >= 0) return ttl;
+  if (warnedTtl !== raw) console.warn(`Ignoring CACHE_TTL_MS=${raw} (expected milliseconds, 0 to turn the cache off)`);
+  warnedTtl = raw;
+  return DEFAULT_TTL_MS;
+}
+
+export function cacheDir() {
+  return path.resolve(process.env.CACHE_DIR || path.join(rootDir, 'data', 'cache'));
+}
+
+function usesCache(provider, options) {
+  return options.cache !== false && !provider.offline && !fixturesMode() && cacheTtlMs() > 0;
+}
+
+// The fixture key plus what only the live provider knows, so switching endpoints does not replay old answers.
+// Callers pass the history before it is fitted to the model (src/context.js), so the `context` settings that
+// decide the fitting are part of the key too.
+function cacheRequest(provider, options) {
+  const scope = provider.cacheScope;
+  const context = options.history?.length && options.context ? definedValues(options.context) : undefined;
+  return { ...answerRequest(provider, options), ...(context ? { context } : {}), ...(scope ? { scope } : {}) };
+}
+
+function definedValues(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+function isExpired(entry, now = Date.now()) {
+  return !(now - Date.parse(entry.createdAt) < cacheTtlMs());
+}
+
+function readEntry(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// The cached { text, usage?, tools?, historyTrim? } for this request, or null. Expired and unreadable entries are removed.
+export function readCached(provider, options) {
+  if (!usesCache(provider, options)) return null;
+  const file = path.join(cacheDir(), requestFileName(cacheRequest(provider, options)));
+  if (!fs.existsSync(file)) return null;
+  const entry = readEntry(file);
+  if (entry?.response && !isExpired(entry)) return entry.response;
+  fs.rmSync(file, { force: true });
+  return null;
+}
+
+// Store a successful answer; a cache that cannot be written only costs the next call
+export function writeCached(provider, options, { text, usage, tools, historyTrim }) {
+  if (!usesCache(provider, options)) return;
+  const request = cacheRequest(provider, options);
+  const file = path.join(cacheDir(), requestFileName(request));
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ request, response: { text, usage, tools, historyTrim }, createdAt: new Date().toISOString() }));
+  } catch (err) {
+    console.warn(`Cache: cannot write ${file}: ${err.message}`);
+  }
+}
+
+function cacheFiles() {
+  const dir = cacheDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .flatMap((d) => fs.readdirSync(path.join(dir, d.name)).filter((f) => f.endsWith('.json')).map((f) => path.join(dir, d.name, f)));
+}
+
+// Summary for GET /api/cache: { enabled, dir, ttlMs, entries, expired, bytes, items }, where items are the
+// `limit` newest entries as { key, provider, model, prompt, createdAt, expiresAt, expired, bytes }
+export function describeCache({ limit = 100 } = {}) {
+  const now = Date.now();
+  const ttlMs = cacheTtlMs();
+  const items = [];
+  let bytes = 0;
+  for (const file of cacheFiles()) {
+    const size = fs.statSync(file).size;
+    bytes += size;
+    const entry = readEntry(file);
+    const createdAt = entry?.createdAt || null;
+    items.push({
+      key: path.relative(cacheDir(), file),
+      provider: entry?.request?.provider,
+      model: entry?.request?.model,
+      prompt: String(entry?.request?.prompt ?? '').slice(0, 200),
+      createdAt,
+      expiresAt: createdAt ? new Date(Date.parse(createdAt) + ttlMs).toISOString() : null,
+      expired: !entry || isExpired(entry, now),
+      bytes: size,
+    });
+  }
+  items.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  return {
+    enabled: ttlMs > 0,
+    dir: cacheDir(),
+    ttlMs,
+    entries: items.length,
+    expired: items.filter((i) => i.expired).length,
+    bytes,
+    items: items.slice(0, limit),
+  };
+}
+
+// Remove every entry (or only expired ones, or one provider's); returns the number removed
+export function clearCache({ expiredOnly = false, provider } = {}) {
+  let removed = 0;
+  const now = Date.now();
+  for (const file of cacheFiles()) {
+    if (provider && path.basename(path.dirname(file)) !== provider) continue;
+    if (expiredOnly) {
+      const entry = readEntry(file);
+      if (entry && !isExpired(entry, now)) continue;
+    }
+    fs.rmSync(file, { force: true });
+    removed += 1;
+  }
+  return removed;
+}
@@ -0,0 +1,62 @@
+import { loadCatalog } from './config.js';
+import { listProviders, getProvider, hasProviderKey } from './registry.js';
+
+// Request parameters for models the catalog does not list (local and custom servers)
+const DEFAULT_PARAMS = { acceptsTemperature: true, maxTokensParam: 'max_tokens', reasoning: false, inputs: ['text'] };
+
+// Model families whose ids no catalog entry is a prefix of. OpenAI's o-series reasoning models go by
+// undated aliases ("o1", "o3-mini", "o4-mini") while the catalog lists dated snapshots, and they reject
+// temperature and max_tokens.
+const FAMILIES = [
+  { pattern: /^o\d/i, provider: 'openai', acceptsTemperature: false, maxTokensParam: 'max_completion_tokens', reasoning: true, contextWindow: 128000 },
+];
+
+// Catalog entry for a model id. Like pricing, an id without an exact entry uses the longest
+// catalog id it starts with, so "gpt-5-2025-08-07" follows the "gpt-5" entry; ids no entry covers
+// fall back to FAMILIES.
+export function modelInfo(model, catalog = loadCatalog()) {
+  if (!model) return null;
+  let best = null;
+  for (const entry of catalog.models) {
+    if (entry.id === model) return entry;
+    if (model.startsWith(entry.id) && (!best || entry.id.length > best.id.length)) best = entry;
+  }
+  if (best) return best;
+  const family = FAMILIES.find((f) => f.pattern.test(model));
+  if (!family) return null;
+  const { pattern, ...info } = family;
+  return { id: model, ...info };
+}
+
+// { acceptsTemperature, maxTokensParam, reasoning, inputs } for building a provider request
+export function modelParams(model) {
+  const info = modelInfo(model);
+  return {
+    acceptsTemperature: info?.acceptsTemperature ?? DEFAULT_PARAMS.acceptsTemperature,
+    maxTokensParam: info?.maxTokensParam ?? DEFAULT_PARAMS.maxTokensParam,
+    reasoning: info?.reasoning ?? DEFAULT_PARAMS.reasoning,
+    inputs: info?.inputs ?? DEFAULT_PARAMS.inputs,
+  };
+}
+
+// Serializable catalog for the web UI: catalog entries plus the models a provider lists itself
+// (e.g. the custom endpoint's), each with its provider's label and whether that provider is configured
+export function describeCatalog() {
+  const catalog = loadCatalog();
+  const entries = catalog.models.map((m) => ({ ...DEFAULT_PARAMS, name: m.id, ...m }));
+  const listed = new Set(entries.map((m) => m.id));
+  for (const provider of listProviders()) {
+    for (const id of provider.models || []) {
+      if (listed.has(id)) continue;
+      listed.add(id);
+      entries.push({ ...DEFAULT_PARAMS, id, provider: provider.id, name: id });
+    }
+  }
+  return {
+    defaults: catalog.defaults.filter((id) => listed.has(id)),
+    models: entries.map((m) => {
+      const provider = getProvider(m.provider);
+      return { ...m, providerLabel: provider.label, enabled: hasProviderKey(provider) };
+    }),
+  };
+}
@@ -0,0 +1,262 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import chalk from 'chalk';
+import { DEFAULTS, listProviders, getProvider, hasProviderKey, missingKeyMessage, withTimeout, streamProvider, isAbortError, nowMs } from './providers.js';
+import { resolveSettings, withOverrides, requireProfile, listProfiles } from './config.js';
+import { classifyError } from './retry.js';
+import { costUsd, formatUsage } from './pricing.js';
+import { exportSession } from './export.js';
+import { describeHistoryTrim } from './context.js';
+
+// Interactive multi-model chat. Every provider keeps its own history (shaped like a session thread,
+// so /save can reuse the exporters) and replies stream concurrently, one labelled line at a time.
+
+const HELP = `Commands:
+  /models                  list providers and their models
+  /models <id> <model>     switch a provider's model
+  /system [text|clear]     show, set or clear the system prompt
+  /profile [name|off]      list profiles, or switch to one
+  /only <id> [id ...]      talk to these providers only; /all to talk to every provider again
+  /retry                   ask the last prompt again
+  /save [file]             save the conversation (.md, .html or .json; default chat-<time>.md)
+  /clear                   forget the conversation
+  /help, /exit`;
+
+const FORMAT_BY_EXT = { '.md': 'markdown', '.markdown': 'markdown', '.html': 'html', '.json': 'json' };
+
+// Writes streamed text for several providers without interleaving mid-line:
+// each provider's text is buffered until a newline, then printed with its label.
+function lineWriter(label, color) {
+  let pending = '';
+  const prefix = color(`${label} │ `);
+  return {
+    write(delta) {
+      pending += delta;
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      for (const line of lines) console.log(prefix + line);
+    },
+    flush() {
+      if (pending) console.log(prefix + pending);
+      pending = '';
+    },
+  };
+}
+
+// options: { models: { providerId: model }, profile, system, temperature, maxTokens, timeoutMs, context, cache, colors: { providerId: chalkFn } }
+// A conversation longer than a model's context window is cut down per `context` (src/context.js) before each call.
+export async function runChat(options) {
+  const state = {
+    models: { ...options.models },
+    profile: options.profile,
+    system: options.system,
+    active: Object.keys(options.models).filter((id) => hasProviderKey(getProvider(id))),
+    histories: {},
+    lastPrompt: null,
+    inflight: null,
+  };
+  const colorFor = (id) => options.colors?.[id] || chalk.white;
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: chalk.bold('you › ') });
+  // Ctrl-C stops the replies in flight; at an idle prompt it leaves the chat
+  rl.on('SIGINT', () => {
+    if (state.inflight) state.inflight.abort();
+    else rl.close();
+  });
+
+  // `fresh` skips the response cache, so /retry gets a new answer rather than the same one again
+  async function ask(prompt, { fresh = false } = {}) {
+    if (state.active.length === 0) {
+      console.log(chalk.yellow('No providers selected. Use /all or /only <id>.'));
+      return;
+    }
+    state.lastPrompt = prompt;
+    const controller = new AbortController();
+    state.inflight = controller;
+    await Promise.all(state.active.map(async (id) => {
+      const provider = getProvider(id);
+      const model = state.models[id] || provider.defaultModel;
+      const label = `${provider.label} (${model})`;
+      const out = lineWriter(label, colorFor(id));
+      const history = state.histories[id] || [];
+      // Explicit /system and CLI flags win over the profile
+      const base = state.profile ? resolveSettings({ providerId: id, model, profile: state.profile }) : DEFAULTS;
+      const settings = withOverrides(base, { system: state.system, temperature: options.temperature, maxTokens: options.maxTokens, timeoutMs: options.timeoutMs, context: options.context });
+      const startedAt = nowMs();
+      let text = '';
+      let usage;
+      let cached = false;
+      const r = await withTimeout(async (signal) => {
+        const parts = streamProvider(provider, {
+          prompt,
+          system: settings.system,
+          model,
+          temperature: settings.temperature,
+          maxTokens: settings.maxTokens,
+          history,
+          context: settings.context,
+          cache: fresh ? false : options.cache,
+          signal,
+        });
+        for await (const part of parts) {
+          if (signal.aborted) break;
+          if (part?.historyTrim) {
+            console.log(colorFor(id)(`${label} │ `) + chalk.gray(`[history: ${describeHistoryTrim(part.historyTrim)}]`));
+            continue;
+          }
+          if (part?.cached) {
+            cached = true;
+            continue;
+          }
+          if (typeof part !== 'string') {
+            usage = part.usage;
+            continue;
+          }
+          text += part;
+          out.write(part);
+        }
+      }, settings.timeoutMs, provider.label, { signal: controller.signal });
+      out.flush();
+      const latencyMs = nowMs() - startedAt;
+      if (!r.ok) {
+        const reason = isAbortError(r.error) ? 'stopped' : `${classifyError(r.error)}: ${r.error?.message || r.error}`;
+        console.log(colorFor(id)(`${label} │ `) + chalk.red(`[${reason}]`));
+        return;
+      }
+      const cost = cached ? undefined : costUsd(model, usage);
+      const stats = [`${latencyMs}ms`, cached ? 'cached' : '', formatUsage(usage, cost)].filter(Boolean).join(' · ');
+      console.log(colorFor(id)(`${label} │ `) + chalk.gray(`[${stats}]`));
+      state.histories[id] = [
+        ...history,
+        { role: 'user', content: prompt, at: new Date().toISOString() },
+        { role: 'assistant', content: text, provider: id, model, latencyMs, usage, costUsd: cost, cached: cached || undefined, params: { system: settings.system, temperature: settings.temperature, maxTokens: settings.maxTokens }, at: new Date().toISOString() },
+      ];
+    }));
+    state.inflight = null;
+  }
+
+  // Drop the last exchange of every provider that answered `prompt`, so /retry does not repeat it in history
+  function forgetLast(prompt) {
+    for (const [id, thread] of Object.entries(state.histories)) {
+      const n = thread.length;
+      if (n >= 2 && thread[n - 2].role === 'user' && thread[n - 2].content === prompt) {
+        state.histories[id] = thread.slice(0, n - 2);
+      }
+    }
+  }
+
+  function save(file) {
+    const target = file || `chat-${new Date().toISOString().replace(/[:.]/g, '-')}.md`;
+    const format = FORMAT_BY_EXT[path.extname(target).toLowerCase()];
+    if (!format) {
+      console.log(chalk.red('Use a .md, .html or .json file name'));
+      return;
+    }
+    const firstPrompt = Object.values(state.histories).flat().find((m) => m.role === 'user')?.content || 'Chat';
+    const session = {
+      title: firstPrompt.replace(/\s+/g, ' ').trim().slice(0, 80),
+      createdAt: Object.values(state.histories).flat()[0]?.at || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      threads: state.histories,
+    };
+    fs.writeFileSync(target, exportSession(session, format));
+    console.log(chalk.green(`Saved to ${target}`));
+  }
+
+  async function command(line) {
+    const [name, ...args] = line.slice(1).split(/\s+/).filter(Boolean);
+    switch (name) {
+      case 'models':
+        if (args.length >= 2) {
+          if (!getProvider(args[0])) return console.log(chalk.red(`Unknown provider ${args[0]}`));
+          state.models[args[0]] = args[1];
+        }
+        for (const p of listProviders()) {
+          const status = !hasProviderKey(p) ? chalk.gray(` (${missingKeyMessage(p)})`) : state.active.includes(p.id) ? '' : chalk.gray(' (off)');
+          console.log(`  ${colorFor(p.id)(p.id.padEnd(8))} ${state.models[p.id] || p.defaultModel || '-'}${status}`);
+        }
+        return;
+      case 'system': {
+        const text = line.replace(/^\/system\s*/, '');
+        if (text === 'clear') state.system = undefined;
+        else if (text) state.system = text;
+        return console.log(chalk.gray(`System: ${state.system || '(none)'}`));
+      }
+      case 'profile': {
+        if (args[0] === 'off') state.profile = undefined;
+        else if (args[0]) {
+          try {
+            requireProfile(args[0]);
+            state.profile = args[0];
+          } catch (err) {
+            return console.log(chalk.red(err.message));
+          }
+        } else {
+          listProfiles().forEach((p) => console.log(`  ${p.name === state.profile ? '*' : ' '} ${p.name.padEnd(16)} ${chalk.gray(p.description)}`));
+        }
+        return console.log(chalk.gray(`Profile: ${state.profile || '(none)'}`));
+      }
+      case 'only': {
+        const unknown = args.filter((id) => !getProvider(id));
+        if (unknown.length) return console.log(chalk.red(`Unknown provider ${unknown.join(', ')}`));
+        const missing = args.filter((id) => !hasProviderKey(getProvider(id)));
+        if (missing.length) return console.log(chalk.red(missing.map((id) => missingKeyMessage(getProvider(id))).join('; ')));
+        state.active = args;
+        return console.log(chalk.gray(`Talking to ${args.join(', ') || 'nobody'}`));
+      }
+      case 'all':
+        state.active = listProviders().filter((p) => hasProviderKey(p)).map((p) => p.id);
+        return console.log(chalk.gray(`Talking to ${state.active.join(', ')}`));
+      case 'retry':
+        if (!state.lastPrompt) return console.log(chalk.yellow('Nothing to retry yet'));
+        forgetLast(state.lastPrompt);
+        return ask(state.lastPrompt, { fresh: true });
+      case 'save':
+        return save(args[0]);
+      case 'clear':
+        state.histories = {};
+        state.lastPrompt = null;
+        return console.log(chalk.gray('Conversation cleared'));
+      case 'help':
+        return console.log(HELP);
+      case 'exit':
+      case 'quit':
+        exiting = true;
+        return rl.close();
+      default:
+        console.log(chalk.red(`Unknown command /${name || ''}. Type /help.`));
+    }
+  }
+
+  console.log(chalk.gray(`Chatting with ${state.active.join(', ') || 'nobody (no provider keys set)'}. Type /help for commands.`));
+  // Lines are queued and handled one at a time, so input typed (or piped) during a reply waits its turn
+  const queue = [];
+  let busy = false;
+  let closed = false;
+  let exiting = false;
+  let finish;
+  const finished = new Promise((resolve) => { finish = resolve; });
+  async function drain() {
+    if (busy) return;
+    busy = true;
+    while (queue.length && !exiting) {
+      const line = queue.shift().trim();
+      if (line.startsWith('/')) await command(line);
+      else if (line) await ask(line);
+    }
+    busy = false;
+    if (closed) finish();
+    else rl.prompt();
+  }
+  rl.on('line', (line) => {
+    queue.push(line);
+    drain();
+  });
+  rl.on('close', () => {
+    closed = true;
+    if (!busy) finish();
+  });
+  rl.prompt();
+  await finished;
+}
@@ -1,59 +1,428 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { DEFAULTS } from './providers.js';
+import { DEFAULTS } from './defaults.js';
+import { listProviders, getProvider, providerForModel } from './registry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const rootDir = path.join(__dirname, '..');
 const configDir = path.join(rootDir, 'config');
+const modelsDir = path.join(configDir, 'models');
+const profilesDir = path.join(configDir, 'profiles');
+const catalogFile = path.join(configDir, 'catalog.json');
+const judgeFile = path.join(configDir, 'judge.json');
 
 const defaultSystem = 'You are a helpful assistant. Be concise and direct.';
 
-function readJsonSafe(fileName) {
-  const filePath = path.join(configDir, fileName);
-  if (!fs.existsSync(filePath)) return null;
+// How a history longer than the model's context window is cut down (see src/context.js)
+const CONTEXT_SCHEMA = {
+  strategy: { type: 'enum', options: ['drop-oldest', 'keep-ends', 'summarize'] },
+  keepFirst: { type: 'integer', min: 0 },
+  keepLast: { type: 'integer', min: 1 },
+  summaryModel: { type: 'string' },
+  maxHistoryTokens: { type: 'integer', min: 1 },
+};
+
+// Settings any config layer may set. Layers, lowest first:
+//   DEFAULTS -> config/<provider>.json -> config/models/*.json whose "match" fits the model
+//   -> config/profiles/<name>.json -> the profile's "providers": { <id>: {...} } block
+// `context` is merged key by key, so a layer may change only its strategy.
+const SETTINGS_SCHEMA = {
+  system: { type: 'string' },
+  temperature: { type: 'number', min: 0, max: 2 },
+  maxTokens: { type: 'integer', min: 1 },
+  timeoutMs: { type: 'integer', min: 1 },
+  context: { type: 'object', fields: CONTEXT_SCHEMA },
+};
+const RETRY_SCHEMA = {
+  attempts: { type: 'integer', min: 1 },
+  baseDelayMs: { type: 'integer', min: 0 },
+  maxDelayMs: { type: 'integer', min: 0 },
+};
+const MODEL_FILE_SCHEMA = {
+  match: { type: 'patterns', required: true },
+  description: { type: 'string' },
+  ...SETTINGS_SCHEMA,
+};
+const PROFILE_FILE_SCHEMA = {
+  description: { type: 'string' },
+  ...SETTINGS_SCHEMA,
+  providers: { type: 'object', values: SETTINGS_SCHEMA },
+};
+
+// config/catalog.json: the models the UI offers and the request parameters each one accepts
+const CATALOG_MODEL_SCHEMA = {
+  id: { type: 'string', required: true },
+  provider: { type: 'string', required: true },
+  name: { type: 'string' },
+  acceptsTemperature: { type: 'boolean' },
+  maxTokensParam: { type: 'enum', options: ['max_tokens', 'max_completion_tokens'] },
+  reasoning: { type: 'boolean' },
+  contextWindow: { type: 'integer', min: 1 },
+  // Attachment kinds the model reads natively: "image", "pdf" (text files are inlined for every model)
+  inputs: { type: 'string[]' },
+};
+const CATALOG_FILE_SCHEMA = {
+  defaults: { type: 'string[]' },
+  models: { type: 'list', items: CATALOG_MODEL_SCHEMA, required: true },
+};
+
+// config/judge.json: the model and settings the judge and the eval rubric grader use
+const JUDGE_FILE_SCHEMA = {
+  model: { type: 'string' },
+  system: { type: 'string' },
+  instructions: { type: 'string' },
+  temperature: SETTINGS_SCHEMA.temperature,
+  maxTokens: SETTINGS_SCHEMA.maxTokens,
+  timeoutMs: SETTINGS_SCHEMA.timeoutMs,
+};
+
+// Provider files also hold the retry policy and any keys the adapter declares in `configSchema`
+function providerFileSchema(providerId) {
+  return {
+    ...SETTINGS_SCHEMA,
+    retry: { type: 'object', fields: RETRY_SCHEMA },
+    ...(getProvider(providerId)?.configSchema || {}),
+  };
+}
+
+function describeValue(value) {
+  return JSON.stringify(value)?.slice(0, 40) ?? String(value);
+}
+
+function checkField(value, rule) {
+  switch (rule.type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'string[]':
+      return Array.isArray(value) && value.every((v) => typeof v === 'string') ? null : 'must be a list of strings';
+    case 'patterns':
+      return typeof value === 'string' || (Array.isArray(value) && value.length && value.every((v) => typeof v === 'string'))
+        ? null
+        : 'must be a model id pattern or a list of them';
+    case 'number':
+    case 'integer': {
+      const kind = rule.type === 'integer' ? 'an integer' : 'a number';
+      const ok = typeof value === 'number' && Number.isFinite(value) && (rule.type === 'number' || Number.isInteger(value));
+      if (!ok || (rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        if (rule.max !== undefined) return `must be ${kind} between ${rule.min} and ${rule.max}`;
+        return `must be ${kind}${rule.min !== undefined ? ` >= ${rule.min}` : ''}`;
+      }
+      return null;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'enum':
+      return rule.options.includes(value) ? null : `must be one of ${rule.options.join(', ')}`;
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    case 'list':
+      return Array.isArray(value) ? null : 'must be a list';
+    default:
+      return null;
+  }
+}
+
+// Validate `data` against a schema. Returns { value, errors }: `value` keeps only the valid keys,
+// `errors` reads like 'config/profiles/terse.json: "temperature" must be a number between 0 and 2 (got "hot")'.
+export function validateConfig(data, schema, where) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: {}, errors: [`${where}: must contain a JSON object`] };
+  }
+  const value = {};
+  for (const [key, rule] of Object.entries(schema)) {
+    if (rule.required && data[key] === undefined) errors.push(`${where}: "${key}" is required`);
+  }
+  for (const [key, raw] of Object.entries(data)) {
+    const rule = schema[key];
+    if (!rule) {
+      errors.push(`${where}: unknown key "${key}" (allowed: ${Object.keys(schema).join(', ')})`);
+      continue;
+    }
+    const problem = checkField(raw, rule);
+    if (problem) {
+      errors.push(`${where}: "${key}" ${problem} (got ${describeValue(raw)})`);
+      continue;
+    }
+    if (rule.fields) {
+      const nested = validateConfig(raw, rule.fields, `${where} → ${key}`);
+      errors.push(...nested.errors);
+      value[key] = nested.value;
+    } else if (rule.items) {
+      value[key] = raw.map((entry, index) => {
+        const nested = validateConfig(entry, rule.items, `${where} → ${key}[${index}]`);
+        errors.push(...nested.errors);
+        return nested.value;
+      });
+    } else if (rule.values) {
+      value[key] = {};
+      for (const [name, entry] of Object.entries(raw)) {
+        const nested = validateConfig(entry, rule.values, `${where} → ${key}.${name}`);
+        errors.push(...nested.errors);
+        value[key][name] = nested.value;
+      }
+    } else {
+      value[key] = raw;
+    }
+  }
+  return { value, errors };
+}
+
+function relativeName(filePath) {
+  return path.relative(rootDir, filePath);
+}
+
+// Parse a JSON file; a broken file yields { value: null, errors: [...] } instead of throwing
+function readJsonFile(filePath) {
+  if (!fs.existsSync(filePath)) return { value: null, errors: [] };
   try {
-    const raw = fs.readFileSync(filePath, 'utf8');
-    return JSON.parse(raw);
-  } catch (_err) {
-    return null;
+    return { value: JSON.parse(fs.readFileSync(filePath, 'utf8')), errors: [] };
+  } catch (err) {
+    return { value: null, errors: [`${relativeName(filePath)}: invalid JSON (${err.message})`] };
   }
 }
 
-export function loadProviderConfig() {
-  const base = {
-    system: defaultSystem,
-    temperature: DEFAULTS.temperature,
-    maxTokens: DEFAULTS.maxTokens,
-    timeoutMs: DEFAULTS.timeoutMs,
-  };
-  return {
-    openai: { ...base, ...(readJsonSafe('openai.json') || {}) },
-    claude: { ...base, ...(readJsonSafe('claude.json') || {}) },
-    gemini: { ...base, ...(readJsonSafe('gemini.json') || {}) },
+// Each distinct problem is logged once, not on every request that reads the file
+const reported = new Set();
+function reportErrors(errors) {
+  for (const message of errors) {
+    if (reported.has(message)) continue;
+    reported.add(message);
+    console.warn(`Config: ${message}`);
+  }
+}
+
+export function readJsonSafe(fileName) {
+  const { value, errors } = readJsonFile(path.join(configDir, fileName));
+  reportErrors(errors);
+  return value;
+}
+
+// Validated config/<providerId>.json; invalid keys are dropped (and reported)
+function readProviderFile(providerId) {
+  const filePath = path.join(configDir, `${providerId}.json`);
+  const { value, errors } = readJsonFile(filePath);
+  if (!value) return { value: {}, errors };
+  const checked = validateConfig(value, providerFileSchema(providerId), relativeName(filePath));
+  return { value: checked.value, errors: [...errors, ...checked.errors] };
+}
+
+// Every *.json in a directory, validated; invalid keys are dropped, unreadable files skipped
+function readConfigDir(dir, schema) {
+  const entries = [];
+  const errors = [];
+  if (!fs.existsSync(dir)) return { entries, errors };
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith('.json')).sort()) {
+    const filePath = path.join(dir, file);
+    const parsed = readJsonFile(filePath);
+    errors.push(...parsed.errors);
+    if (!parsed.value) continue;
+    const checked = validateConfig(parsed.value, schema, relativeName(filePath));
+    errors.push(...checked.errors);
+    entries.push({ name: path.basename(file, '.json'), ...checked.value });
+  }
+  return { entries, errors };
+}
+
+// Validated catalog; entries without an id, or naming an unknown provider, are dropped (and reported).
+// Provider ids are only checked once providers are registered: an adapter imported on its own
+// (without src/providers.js) still sees every entry.
+function readCatalogFile() {
+  const where = relativeName(catalogFile);
+  const checkProviders = listProviders().length > 0;
+  const parsed = readJsonFile(catalogFile);
+  if (!parsed.value) return { value: { defaults: [], models: [] }, errors: parsed.errors };
+  const checked = validateConfig(parsed.value, CATALOG_FILE_SCHEMA, where);
+  const errors = [...checked.errors];
+  const seen = new Set();
+  const models = (checked.value.models || []).filter((m, index) => {
+    if (!m.id || !m.provider) return false;
+    if (checkProviders && !getProvider(m.provider)) {
+      errors.push(`${where} → models[${index}]: unknown provider "${m.provider}"`);
+      return false;
+    }
+    if (seen.has(m.id)) {
+      errors.push(`${where} → models[${index}]: duplicate id "${m.id}"`);
+      return false;
+    }
+    seen.add(m.id);
+    return true;
+  });
+  return { value: { defaults: checked.value.defaults || [], models }, errors };
+}
+
+// Validated judge settings; like the catalog, the model is only checked once providers are registered
+function readJudgeFile() {
+  const where = relativeName(judgeFile);
+  const parsed = readJsonFile(judgeFile);
+  if (!parsed.value) return { value: {}, errors: parsed.errors };
+  const checked = validateConfig(parsed.value, JUDGE_FILE_SCHEMA, where);
+  const { model } = checked.value;
+  if (model && listProviders().length > 0 && !providerForModel(model)) {
+    checked.errors.push(`${where}: no provider serves model "${model}"`);
+    delete checked.value.model;
+  }
+  return checked;
+}
+
+// Model, profile, catalog and judge files are cached until watchConfig sees a change (or more providers are
+// registered, since the catalog is checked against them)
+let cache = null;
+
+function loadConfigDirs() {
+  if (cache && cache.providerCount === listProviders().length) return cache;
+  const models = readConfigDir(modelsDir, MODEL_FILE_SCHEMA);
+  const profiles = readConfigDir(profilesDir, PROFILE_FILE_SCHEMA);
+  const catalog = readCatalogFile();
+  const judge = readJudgeFile();
+  cache = {
+    providerCount: listProviders().length,
+    models: models.entries.filter((m) => m.match !== undefined),
+    profiles: Object.fromEntries(profiles.entries.map((p) => [p.name, p])),
+    catalog: catalog.value,
+    judge: judge.value,
+    errors: [...models.errors, ...profiles.errors, ...catalog.errors, ...judge.errors],
   };
+  reportErrors(cache.errors);
+  return cache;
+}
+
+// Model id patterns use * as a wildcard and ignore case, e.g. "gpt-5-mini*" or "claude-3-5-*"
+function globToRegExp(pattern) {
+  const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Model files whose "match" fits `model`, least specific first so the most specific one wins
+function modelConfigsFor(model) {
+  if (!model) return [];
+  const specificity = (m) => Math.max(...[].concat(m.match).filter((p) => globToRegExp(p).test(model)).map((p) => p.replace(/\*/g, '').length));
+  return loadConfigDirs().models
+    .filter((m) => [].concat(m.match).some((p) => globToRegExp(p).test(model)))
+    .sort((a, b) => specificity(a) - specificity(b));
 }
 
-export function loadModelSpecificConfig(model) {
-  const base = {
+function pickSettings(layer) {
+  const out = {};
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    if (layer?.[key] !== undefined) out[key] = layer[key];
+  }
+  return out;
+}
+
+function definedValues(object) {
+  return Object.fromEntries(Object.entries(object || {}).filter(([, value]) => value !== undefined));
+}
+
+function applyLayer(settings, layer) {
+  const picked = pickSettings(definedValues(layer));
+  if (picked.context) picked.context = { ...settings.context, ...definedValues(picked.context) };
+  return { ...settings, ...picked };
+}
+
+// Named profiles: [{ name, description }]
+export function listProfiles() {
+  return Object.values(loadConfigDirs().profiles).map((p) => ({ name: p.name, description: p.description || '' }));
+}
+
+export function getProfile(name) {
+  return loadConfigDirs().profiles[name] || null;
+}
+
+// The named profile, or an Error whose message lists the available ones
+export function requireProfile(name) {
+  const named = getProfile(name);
+  if (named) return named;
+  const available = listProfiles().map((p) => p.name).join(', ') || 'none';
+  throw new Error(`Unknown profile "${name}" (available: ${available})`);
+}
+
+// The model catalog: { defaults: [modelId], models: [{ id, provider, name?, acceptsTemperature?, maxTokensParam?, reasoning?, contextWindow? }] }
+export function loadCatalog() {
+  return loadConfigDirs().catalog;
+}
+
+// Settings from config/judge.json ({ model?, system?, instructions?, temperature?, maxTokens?, timeoutMs? });
+// invalid keys are left out so the judge's built-in defaults apply
+export function loadJudgeSettings() {
+  return loadConfigDirs().judge;
+}
+
+// Problems found in provider, model, profile, catalog and judge files, as readable messages
+export function configErrors() {
+  const providerErrors = listProviders().flatMap((p) => readProviderFile(p.id).errors);
+  const errors = [...providerErrors, ...loadConfigDirs().errors];
+  reportErrors(errors);
+  return errors;
+}
+
+// Effective { system, temperature, maxTokens, timeoutMs, context } for one provider and model.
+// Throws on an unknown profile name so callers can report it.
+export function resolveSettings({ providerId, model, profile } = {}) {
+  let settings = {
     system: defaultSystem,
     temperature: DEFAULTS.temperature,
     maxTokens: DEFAULTS.maxTokens,
     timeoutMs: DEFAULTS.timeoutMs,
+    context: DEFAULTS.context,
   };
-  
-  // Check for model-specific config first
-  if (model === 'gpt-5-mini' || model === 'gpt-5-mini-2025-08-07') {
-    const gpt5MiniConfig = readJsonSafe('gpt5-mini.json');
-    if (gpt5MiniConfig) {
-      return { ...base, ...gpt5MiniConfig };
-    }
+  const providerFile = readProviderFile(providerId);
+  reportErrors(providerFile.errors);
+  settings = applyLayer(settings, providerFile.value);
+  for (const modelConfig of modelConfigsFor(model)) settings = applyLayer(settings, modelConfig);
+  if (profile) {
+    const named = requireProfile(profile);
+    settings = applyLayer(applyLayer(settings, named), named.providers?.[providerId]);
   }
-  
-  // Fall back to provider config
-  const openaiConfig = readJsonSafe('openai.json');
-  return { ...base, ...openaiConfig };
+  return settings;
 }
 
+// Values the caller set explicitly win over `base`; undefined ones fall through
+export function withOverrides(base, overrides) {
+  return applyLayer(base, overrides);
+}
+
+// Check `context` settings from a request body: { ok, value } (undefined when none were sent) or { ok: false, error }
+export function parseContextSettings(data) {
+  if (data === undefined || data === null) return { ok: true, value: undefined };
+  const { value, errors } = validateConfig(data, CONTEXT_SCHEMA, 'context');
+  if (errors.length) return { ok: false, error: errors.join('; ') };
+  return { ok: true, value };
+}
+
+// Retry policy for a provider: DEFAULTS.retry overridden by the "retry" object in config/<id>.json
+export function loadRetryPolicy(providerId) {
+  const { value } = readProviderFile(providerId);
+  return { ...DEFAULTS.retry, ...(value.retry || {}) };
+}
 
+// Reload model, profile, catalog and judge files when anything under config/ changes (used by the long-running server).
+// `onReload(errors)` runs after each reload. Returns a function that stops watching.
+export function watchConfig(onReload) {
+  const watchers = [];
+  let timer = null;
+  const reload = () => {
+    clearTimeout(timer);
+    // Editors fire several events per save; settle before re-reading
+    timer = setTimeout(() => {
+      cache = null;
+      reported.clear();
+      const errors = configErrors();
+      onReload?.(errors);
+    }, 100);
+  };
+  for (const dir of [configDir, modelsDir, profilesDir]) {
+    if (!fs.existsSync(dir)) continue;
+    try {
+      watchers.push(fs.watch(dir, reload));
+    } catch (err) {
+      console.warn(`Config: not watching ${relativeName(dir)}: ${err.message}`);
+    }
+  }
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach((w) => w.close());
+  };
+}
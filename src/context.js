@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import { DEFAULTS } from './defaults.js';
+import { providerForModel, hasProviderKey } from './registry.js';
+import { modelInfo } from './catalog.js';
+import { attachmentKind } from './attachments.js';
+
+// Keeping a conversation inside the model's context window. Before each call the history is measured
+// against the window (the catalog's contextWindow, DEFAULTS.contextWindow for models it does not list)
+// minus the system prompt, the prompt and the room kept for the answer. When it does not fit, the
+// `context` settings (see src/config.js) decide what is sent:
+//   drop-oldest  the most recent messages that fit
+//   keep-ends    the first `keepFirst` messages and up to `keepLast` of the most recent ones
+//   summarize    the most recent messages that fit, with everything older summarized by `summaryModel`
+//                (added to the system prompt); drop-oldest when the summary cannot be made
+// `maxHistoryTokens` caps the history below what the window allows.
+
+// Per message, for the role and separators
+const MESSAGE_OVERHEAD = 4;
+const SUMMARY_SYSTEM = 'You summarize conversations so they can be continued without the full transcript. Keep facts, names, numbers, decisions, open questions and instructions the user gave. Write plain prose, no preamble.';
+// Summaries by model and summarized messages, so a retry or the next turn with the same cut reuses one
+const summaries = new Map();
+const MAX_SUMMARIES = 100;
+
+// Rough but stable: about four characters per token
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function messageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD;
+}
+
+function totalTokens(messages) {
+  return messages.reduce((sum, m) => sum + messageTokens(m), 0);
+}
+
+export function contextWindow(model) {
+  return modelInfo(model)?.contextWindow ?? DEFAULTS.contextWindow;
+}
+
+// Tokens left for the history of one call
+function historyBudget({ model, system, prompt, attachments, maxTokens, maxCompletionTokens }, context) {
+  // Text files are inlined into the prompt; images and PDFs are not counted
+  const inlined = (attachments || [])
+    .filter((a) => attachmentKind(a) === 'text')
+    .reduce((sum, a) => sum + Math.ceil((a.data?.length || 0) * 3 / 16), 0);
+  // The estimate is rough, so a tenth of the window stays free
+  const room = Math.floor(contextWindow(model) * 0.9)
+    - (maxCompletionTokens ?? maxTokens ?? DEFAULTS.maxTokens)
+    - estimateTokens(system)
+    - estimateTokens(prompt)
+    - inlined;
+  return Math.max(0, Math.min(room, context.maxHistoryTokens ?? Infinity));
+}
+
+// The longest run of messages at the end of `messages` that fits in `budget`. It starts with a user
+// message: providers that expect turns to alternate reject a thread that opens with a reply.
+function recentFitting(messages, budget) {
+  let start = messages.length;
+  let used = 0;
+  while (start > 0 && used + messageTokens(messages[start - 1]) <= budget) {
+    used += messageTokens(messages[start - 1]);
+    start -= 1;
+  }
+  while (start < messages.length && messages[start].role === 'assistant') start += 1;
+  return messages.slice(start);
+}
+
+function keepEnds(messages, budget, { keepFirst = 0, keepLast = Infinity }) {
+  const head = messages.slice(0, keepFirst);
+  if (totalTokens(head) > budget) return recentFitting(messages, budget);
+  const tail = recentFitting(messages.slice(head.length).slice(-keepLast), budget - totalTokens(head));
+  return [...head, ...tail];
+}
+
+function transcript(messages) {
+  return messages.map((m) => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.content}`).join('\n\n');
+}
+
+// Summary of `messages` by `summaryModel`, or by the answering model when the summary model's provider
+// is not configured. Resolves to { text, model, summarized }: the model's window may not hold every
+// message, and then only the most recent ones that fit are summarized.
+async function summarize(messages, { provider, model, summaryModel, maxTokens, signal }) {
+  const summaryProvider = summaryModel && providerForModel(summaryModel);
+  const useSummaryModel = summaryProvider && hasProviderKey(summaryProvider);
+  const target = useSummaryModel ? { provider: summaryProvider, model: summaryModel } : { provider, model };
+  const request = { model: target.model, system: SUMMARY_SYSTEM, maxTokens };
+  const instruction = `Summarize this conversation in at most ${Math.floor(maxTokens * 0.75)} words:`;
+  const included = recentFitting(messages, historyBudget({ ...request, prompt: instruction }, {}));
+  if (!included.length) throw new Error('Nothing to summarize fits the summary model');
+  const key = crypto.createHash('sha256').update(JSON.stringify([target.model, maxTokens, included.map((m) => [m.role, m.content])])).digest('hex');
+  if (!summaries.has(key)) {
+    const { text } = await target.provider.ask({ ...request, prompt: `${instruction}\n\n${transcript(included)}`, temperature: 0, signal });
+    if (!text?.trim()) throw new Error(`${target.model} returned an empty summary`);
+    summaries.set(key, text.trim());
+    if (summaries.size > MAX_SUMMARIES) summaries.delete(summaries.keys().next().value);
+  }
+  return { text: summaries.get(key), model: target.model, summarized: included.length };
+}
+
+// Fit `options.history` into the model's context window per `options.context`. Resolves to
+// { history, system, historyTrim? } where historyTrim says what happened when the history did not fit:
+// { strategy, total, sent, dropped, summarized?, summaryModel?, summaryError?, historyTokens, budgetTokens }
+// (message counts over the history's non-empty messages).
+export async function fitHistory(provider, options) {
+  const { history, system, signal } = options;
+  const messages = (Array.isArray(history) ? history : []).filter((m) => typeof m?.content === 'string' && m.content);
+  const context = { ...DEFAULTS.context, ...options.context };
+  const budget = historyBudget(options, context);
+  if (totalTokens(messages) <= budget) return { history, system };
+
+  const describe = (sent, extra = {}) => ({
+    strategy: context.strategy,
+    total: messages.length,
+    sent: sent.length,
+    dropped: messages.length - sent.length - (extra.summarized || 0),
+    ...extra,
+    historyTokens: totalTokens(sent),
+    budgetTokens: budget,
+  });
+  if (context.strategy === 'keep-ends') {
+    const sent = keepEnds(messages, budget, context);
+    return { history: sent, system, historyTrim: describe(sent) };
+  }
+  if (context.strategy !== 'summarize') {
+    const sent = recentFitting(messages, budget);
+    return { history: sent, system, historyTrim: describe(sent) };
+  }
+
+  // The summary takes up to a quarter of the budget, the recent messages the rest
+  const summaryTokens = Math.min(1024, Math.floor(budget / 4));
+  const recent = recentFitting(messages, budget - summaryTokens);
+  const older = messages.slice(0, messages.length - recent.length);
+  try {
+    if (summaryTokens < 16) throw new Error('No room for a summary');
+    const summary = await summarize(older, { provider, model: options.model, summaryModel: context.summaryModel, maxTokens: summaryTokens, signal });
+    return {
+      history: recent,
+      system: [system, `Summary of the earlier conversation:\n${summary.text}`].filter(Boolean).join('\n\n'),
+      historyTrim: describe(recent, { summarized: summary.summarized, summaryModel: summary.model }),
+    };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    const sent = recentFitting(messages, budget);
+    return { history: sent, system, historyTrim: describe(sent, { summarized: 0, summaryError: String(error?.message || error) }) };
+  }
+}
+
+// One line for the CLI, e.g. "sent the last 6 of 20 earlier messages, 14 summarized by gpt-4o-mini"
+export function describeHistoryTrim(trim) {
+  if (!trim) return '';
+  const sent = `sent ${trim.sent} of ${trim.total} earlier messages`;
+  if (trim.summarized) return `${sent}, ${trim.summarized} summarized by ${trim.summaryModel}${trim.dropped ? `, ${trim.dropped} dropped` : ''}`;
+  if (trim.summaryError) return `${sent} (summary failed: ${trim.summaryError})`;
+  return `${sent} (${trim.strategy})`;
+}
@@ -0,0 +1,30 @@
+import { getProvider } from './registry.js';
+
+// Settings used when neither a request nor the config files (src/config.js) set them.
+// Kept apart from src/providers.js so the adapters' own imports can read them.
+export const DEFAULTS = {
+  // Flagship defaults, read from the registered adapters
+  get openaiModel() { return getProvider('openai')?.defaultModel; },
+  get claudeModel() { return getProvider('claude')?.defaultModel; },
+  get geminiModel() { return getProvider('gemini')?.defaultModel; },
+  temperature: 0.2,
+  maxTokens: 1024,
+  timeoutMs: 30000,
+  // Model -> tools -> model round trips before a tool-calling answer is given up on
+  maxToolRounds: 8,
+  // Retries apply to transient failures only (see src/retry.js)
+  retry: {
+    attempts: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 8000,
+  },
+  // Context window of models the catalog gives none for (local and custom servers)
+  contextWindow: 8192,
+  // What is sent when a conversation outgrows the context window (see src/context.js)
+  context: {
+    strategy: 'drop-oldest',
+    keepFirst: 2,
+    keepLast: 8,
+    summaryModel: 'gpt-4o-mini',
+  },
+};
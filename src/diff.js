@@ -0,0 +1,34 @@
+import chalk from 'chalk';
+import { diffWords, diffLines } from 'diff';
+
+// Word- or line-level comparison of two answers, for `--diff` in the CLI.
+// The web UI does the same with the browser build of the `diff` package.
+
+const WORD = /\S+/g;
+
+function countWords(text) {
+  return (text.match(WORD) || []).length;
+}
+
+// Parts of `b` relative to `a`: [{ value, added, removed }]
+export function diffAnswers(a, b, mode = 'words') {
+  return mode === 'lines' ? diffLines(a || '', b || '') : diffWords(a || '', b || '');
+}
+
+// Share of words the two answers have in common, from 0 to 1 (Dice coefficient over the word diff)
+export function similarity(a, b, parts = diffWords(a || '', b || '')) {
+  const total = countWords(a || '') + countWords(b || '');
+  if (total === 0) return 1;
+  const common = parts.filter((p) => !p.added && !p.removed).reduce((n, p) => n + countWords(p.value), 0);
+  return (2 * common) / total;
+}
+
+// `b` printed against `a`: words only in `a` struck through in red, words only in `b` in green
+export function formatDiff(a, b, mode = 'words') {
+  // Line mode: end both texts with a newline so a changed last line does not run into its replacement
+  const line = (text) => (mode === 'lines' && text && !text.endsWith('\n') ? `${text}\n` : text);
+  return diffAnswers(line(a), line(b), mode)
+    .map((p) => (p.removed ? chalk.red.strikethrough(p.value) : p.added ? chalk.green(p.value) : p.value))
+    .join('')
+    .replace(/\n$/, '');
+}
@@ -0,0 +1,82 @@
+import fs from 'fs';
+import path from 'path';
+import { listProviders, getProvider, hasProviderKey, missingKeyMessage, nowMs } from './providers.js';
+import { runWithRetries } from './retry.js';
+import { loadRetryPolicy } from './config.js';
+
+// Image generation fanned out to every image-capable provider (adapters with a `draw` function
+// and an image model), the drawing counterpart of src/ask.js.
+
+// Image models are much slower than chat models
+export const DRAW_TIMEOUT_MS = 120000;
+export const MAX_IMAGES = 4;
+
+export function imageProviders() {
+  return listProviders().filter((p) => typeof p.draw === 'function' && p.imageModel);
+}
+
+// `models` maps provider id -> image model (empty for the provider's imageModel); without it every
+// configured image-capable provider draws. A provider that is unconfigured or cannot draw gets a
+// failed result instead of being skipped, so each card can say why it has no images.
+// Resolves to { [providerId]: { provider, model, ok, images?, error?, errorCategory?, attempts, latencyMs } }.
+export async function drawProviders({ prompt, models, size, quality, n = 1, timeoutMs = DRAW_TIMEOUT_MS, signal }) {
+  const selected = models || Object.fromEntries(imageProviders().filter(hasProviderKey).map((p) => [p.id, '']));
+  const results = {};
+  await Promise.all(Object.entries(selected).map(async ([providerId, requested]) => {
+    const provider = getProvider(providerId);
+    if (!provider) return;
+    const model = requested || provider.imageModel;
+    const fail = (error, errorCategory) => {
+      results[providerId] = { provider: providerId, model, ok: false, error, errorCategory, attempts: 0, latencyMs: 0 };
+    };
+    if (typeof provider.draw !== 'function' || !model) return fail(`${provider.label} cannot generate images`, 'invalid-request');
+    if (!hasProviderKey(provider)) return fail(missingKeyMessage(provider), 'auth');
+    const startedAt = nowMs();
+    const r = await runWithRetries(
+      provider.label,
+      (attemptSignal) => provider.draw({ prompt, model, size, quality, n, signal: attemptSignal }),
+      { timeoutMs, policy: loadRetryPolicy(provider.id), signal }
+    );
+    results[providerId] = {
+      provider: providerId,
+      model,
+      ok: r.ok,
+      images: r.ok ? r.value.images : undefined,
+      error: r.ok ? undefined : String(r.error?.message || r.error),
+      errorCategory: r.errorCategory,
+      attempts: r.attempts,
+      latencyMs: nowMs() - startedAt,
+    };
+  }));
+  return results;
+}
+
+const EXTENSIONS = { 'image/png': '.png', 'image/jpeg': '.jpg', 'image/webp': '.webp', 'image/gif': '.gif' };
+
+// Write every generated image to `dir` as <stamp>-<provider>-<n>.<ext>; resolves to the paths written.
+// Images only available as URLs (some local servers) are downloaded.
+export async function saveImages(results, dir, stamp = new Date().toISOString().replace(/[:.]/g, '-')) {
+  fs.mkdirSync(dir, { recursive: true });
+  const written = [];
+  for (const r of Object.values(results)) {
+    if (!r.ok) continue;
+    for (const [index, image] of r.images.entries()) {
+      let bytes;
+      let mimeType;
+      const match = image.match(/^data:([^;]+);base64,(.*)$/s);
+      if (match) {
+        mimeType = match[1];
+        bytes = Buffer.from(match[2], 'base64');
+      } else {
+        const response = await fetch(image);
+        if (!response.ok) throw new Error(`Could not download ${image}: HTTP ${response.status}`);
+        mimeType = response.headers.get('content-type')?.split(';')[0];
+        bytes = Buffer.from(await response.arrayBuffer());
+      }
+      const file = path.join(dir, `${stamp}-${r.provider}-${index + 1}${EXTENSIONS[mimeType] || '.png'}`);
+      fs.writeFileSync(file, bytes);
+      written.push(file);
+    }
+  }
+  return written;
+}
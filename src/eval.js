@@ -0,0 +1,305 @@
+import fs from 'fs';
+import { getProvider, providerForModel, hasProviderKey, missingKeyMessage } from './providers.js';
+import { askProviders } from './ask.js';
+import { readBatchFile, runPool } from './batch.js';
+import { getProfile } from './config.js';
+import { gradeAnswer } from './judge.js';
+import { parseSchema, checkReply } from './schema.js';
+import { sumUsage, formatUsage, formatCost } from './pricing.js';
+import { escapeHtml } from './export.js';
+
+// Evaluation runs: every case of a suite is asked of every selected model and each answer is scored
+// against the case's expectations. A suite is a batch file (see src/batch.js) whose lines also have
+//   expect: { equals | contains | regex | schema | rubric, ignoreCase?, flags? }, or a list of them (all must pass)
+// - equals / contains compare with the trimmed answer (ignoreCase: true to ignore case)
+// - regex tests the answer, e.g. { "regex": "\\b391\\b" }; `flags` are RegExp flags
+// - schema asks for structured output (src/schema.js) and passes when the reply matches the schema
+// - rubric has a grader model (config/judge.json, or `grader`) decide whether the answer meets it
+// A line's own models/providers are ignored: every case runs on every selected model.
+
+const CHECK_TYPES = ['equals', 'contains', 'regex', 'schema', 'rubric'];
+
+export function defaultReportPath(suitePath) {
+  return suitePath.replace(/\.jsonl$/i, '') + '.report.html';
+}
+
+// One "expect" entry -> { type, ... }; throws with a readable message
+function parseCheck(spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error('every "expect" entry must be an object');
+  const types = CHECK_TYPES.filter((t) => spec[t] !== undefined);
+  if (types.length !== 1) throw new Error(`every "expect" entry needs exactly one of ${CHECK_TYPES.join(', ')}`);
+  const [type] = types;
+  if (type === 'schema') {
+    const parsed = parseSchema(spec.schema);
+    if (!parsed.ok) throw new Error(parsed.error);
+    return { type, schema: parsed.value };
+  }
+  if (typeof spec[type] !== 'string' || !spec[type].trim()) throw new Error(`"${type}" must be a non-empty string`);
+  if (type === 'regex') {
+    const flags = typeof spec.flags === 'string' ? spec.flags : spec.ignoreCase ? 'i' : '';
+    try {
+      new RegExp(spec.regex, flags);
+    } catch (err) {
+      throw new Error(`invalid regex: ${err.message}`);
+    }
+    return { type, regex: spec.regex, flags };
+  }
+  return { type, [type]: spec[type], ignoreCase: spec.ignoreCase === true };
+}
+
+// Parse the suite; bad lines are reported instead of aborting the whole run.
+// Resolves to { cases: [{ ...batch line, checks, schema? }], problems: [message] }
+export function readSuiteFile(suitePath) {
+  const { items, problems } = readBatchFile(suitePath);
+  const cases = [];
+  for (const item of items) {
+    try {
+      if (item.expect === undefined) throw new Error('missing "expect"');
+      const checks = (Array.isArray(item.expect) ? item.expect : [item.expect]).map(parseCheck);
+      if (!checks.length) throw new Error('"expect" is empty');
+      const schemas = checks.filter((c) => c.type === 'schema');
+      if (schemas.length > 1) throw new Error('only one "schema" check per case');
+      if (schemas.length && item.tools) throw new Error('a "schema" check cannot be combined with "tools"');
+      if (item.profile && !getProfile(item.profile)) throw new Error(`unknown profile "${item.profile}"`);
+      cases.push({ ...item, checks, schema: schemas[0]?.schema });
+    } catch (err) {
+      problems.push(`case ${item.id}: ${err.message}`);
+    }
+  }
+  return { cases, problems };
+}
+
+// Model names from the command line -> [{ provider, model }]. A bare name is matched to its provider
+// like in the web UI; "<provider>=<model>" picks the provider explicitly (e.g. custom=llama3).
+export function evalTargets(names) {
+  const targets = [];
+  for (const name of names) {
+    const at = name.indexOf('=');
+    const explicit = at > 0 ? getProvider(name.slice(0, at)) : null;
+    const model = explicit ? name.slice(at + 1) : name;
+    const provider = explicit || providerForModel(model);
+    if (!provider || !model) throw new Error(`No provider serves model "${name}" (use <provider>=<model>)`);
+    if (!targets.some((t) => t.provider === provider.id && t.model === model)) targets.push({ provider: provider.id, model });
+  }
+  return targets;
+}
+
+function shorten(text, max = 80) {
+  const flat = String(text).replace(/\s+/g, ' ').trim();
+  return flat.length > max ? `${flat.slice(0, max - 1)}…` : flat;
+}
+
+// Score one successful answer: [{ type, passed, reason, score?, usage?, costUsd? }]
+async function runCheck(check, item, result, { grader, signal }) {
+  const text = (result.text || '').trim();
+  const fold = (value) => (check.ignoreCase ? value.toLowerCase() : value);
+  if (check.type === 'equals') {
+    const passed = fold(text) === fold(check.equals.trim());
+    return { type: 'equals', passed, reason: passed ? '' : `expected "${shorten(check.equals)}"` };
+  }
+  if (check.type === 'contains') {
+    const passed = fold(text).includes(fold(check.contains));
+    return { type: 'contains', passed, reason: passed ? '' : `does not contain "${shorten(check.contains)}"` };
+  }
+  if (check.type === 'regex') {
+    const passed = new RegExp(check.regex, check.flags).test(text);
+    return { type: 'regex', passed, reason: passed ? '' : `no match for /${check.regex}/${check.flags}` };
+  }
+  if (check.type === 'schema') {
+    const errors = result.validationErrors ?? checkReply(check.schema, result.text).validationErrors;
+    return { type: 'schema', passed: errors.length === 0, reason: errors.join('; ') };
+  }
+  const grade = await gradeAnswer({ prompt: item.prompt, answer: result.text, rubric: check.rubric, model: grader, signal });
+  if (!grade.ok) return { type: 'rubric', passed: false, reason: `grader failed: ${grade.error}`, usage: grade.usage, costUsd: grade.costUsd };
+  return { type: 'rubric', passed: grade.pass, score: grade.score, reason: grade.reason, usage: grade.usage, costUsd: grade.costUsd };
+}
+
+// Nearest-rank percentile; null for no values
+export function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// Per-model pass rate, latency percentiles (successful calls only) and cost
+function summarize(rows, targets) {
+  return targets.map(({ provider, model }) => {
+    const mine = rows.filter((r) => r.provider === provider && r.model === model);
+    const latencies = mine.filter((r) => r.ok).map((r) => r.latencyMs);
+    const { costUsd, ...usage } = sumUsage(mine);
+    const passed = mine.filter((r) => r.passed).length;
+    return {
+      provider,
+      model,
+      cases: mine.length,
+      passed,
+      failed: mine.length - passed,
+      errors: mine.filter((r) => !r.ok).length,
+      passRate: mine.length ? passed / mine.length : null,
+      latencyMs: { p50: percentile(latencies, 50), p90: percentile(latencies, 90), p95: percentile(latencies, 95) },
+      usage,
+      costUsd,
+      costPerCase: costUsd === null || !mine.length ? null : Math.round((costUsd / mine.length) * 1e10) / 1e10,
+    };
+  });
+}
+
+// options: { suitePath, targets: [{ provider, model }], grader, profile, system, temperature, maxTokens, timeoutMs, cache,
+//            concurrency, signal, onResult(row, progress), onSkip(message) }
+// Calls go through askProviders, so retries, timeouts and profiles work as for any other question.
+// Resolves to the report { suite, startedAt, finishedAt, grader, models: [summary], results: [row], grading, problems },
+// where a row is { id, prompt, provider, model, ok, passed, checks, text?, error?, errorCategory?, latencyMs, usage?, costUsd?, cached? }.
+export async function runEval(options) {
+  const { suitePath, targets, concurrency = 4, signal, onResult, onSkip } = options;
+  const { cases, problems } = readSuiteFile(suitePath);
+  problems.forEach((p) => onSkip?.(p));
+  const usable = targets.filter((target) => {
+    const provider = getProvider(target.provider);
+    if (hasProviderKey(provider)) return true;
+    const message = `${target.model}: ${missingKeyMessage(provider)}`;
+    problems.push(message);
+    onSkip?.(message);
+    return false;
+  });
+
+  const startedAt = new Date().toISOString();
+  const rows = [];
+  const tasks = cases.flatMap((item, caseIndex) => usable.map((target, targetIndex) => async () => {
+    const results = await askProviders({
+      prompt: item.prompt,
+      system: item.system ?? options.system,
+      tools: item.tools,
+      schema: item.schema,
+      cache: options.cache,
+      models: { [target.provider]: target.model },
+      profile: item.profile ?? options.profile,
+      temperature: typeof item.temperature === 'number' ? item.temperature : options.temperature,
+      maxTokens: typeof item.maxTokens === 'number' ? item.maxTokens : options.maxTokens,
+      timeoutMs: typeof item.timeoutMs === 'number' ? item.timeoutMs : options.timeoutMs,
+      signal,
+    });
+    const r = results[target.provider];
+    if (!r || r.errorCategory === 'cancelled') return;
+    const checks = [];
+    if (r.ok) {
+      for (const check of item.checks) checks.push(await runCheck(check, item, r, { grader: options.grader, signal }));
+    }
+    const row = {
+      id: item.id,
+      prompt: item.prompt,
+      provider: r.provider,
+      model: r.model,
+      ok: r.ok,
+      passed: r.ok && checks.every((c) => c.passed),
+      checks,
+      text: r.text,
+      error: r.error,
+      errorCategory: r.errorCategory,
+      latencyMs: r.latencyMs,
+      usage: r.usage,
+      costUsd: r.costUsd,
+      cached: r.cached,
+      order: caseIndex * usable.length + targetIndex,
+    };
+    rows.push(row);
+    onResult?.(row, { finished: rows.length, total: tasks.length });
+  }));
+  await runPool(tasks, concurrency, signal);
+
+  // Results finish in any order; the report lists them case by case
+  const results = rows.sort((a, b) => a.order - b.order).map(({ order, ...row }) => row);
+  return {
+    suite: suitePath,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    grader: cases.some((c) => c.checks.some((check) => check.type === 'rubric')) ? options.grader || 'config/judge.json' : undefined,
+    models: summarize(results, usable),
+    results,
+    grading: sumUsage(results.flatMap((r) => r.checks)),
+    problems,
+  };
+}
+
+// Write the HTML report for `runEval`'s result; resolves to the path written
+export function writeEvalReport(report, reportPath = defaultReportPath(report.suite)) {
+  fs.writeFileSync(reportPath, evalReportHtml(report));
+  return reportPath;
+}
+
+export function formatPassRate(rate) {
+  return rate === null ? '–' : `${Math.round(rate * 1000) / 10}%`;
+}
+
+// Standalone HTML report: the per-model summary, then one row per case with every model's outcome
+export function evalReportHtml(report) {
+  const ms = (value) => (value === null ? '–' : `${value} ms`);
+  const summaryRows = report.models.map((m) => `<tr>
+  <th>${escapeHtml(m.model)} <small>${escapeHtml(m.provider)}</small></th>
+  <td class="rate">${formatPassRate(m.passRate)}</td><td>${m.passed}/${m.cases}</td><td>${m.errors}</td>
+  <td>${ms(m.latencyMs.p50)}</td><td>${ms(m.latencyMs.p90)}</td><td>${ms(m.latencyMs.p95)}</td>
+  <td>${escapeHtml(formatUsage(m.usage) || '–')}</td><td>${escapeHtml(formatCost(m.costUsd) || '–')}</td><td>${escapeHtml(formatCost(m.costPerCase) || '–')}</td>
+</tr>`).join('\n');
+
+  const ids = [...new Set(report.results.map((r) => r.id))];
+  const caseRows = ids.map((id) => {
+    const rows = report.results.filter((r) => r.id === id);
+    const cells = report.models.map((m) => {
+      const r = rows.find((row) => row.provider === m.provider && row.model === m.model);
+      if (!r) return '<td class="none">–</td>';
+      const status = !r.ok ? 'error' : r.passed ? 'pass' : 'fail';
+      const label = !r.ok ? `Error (${r.errorCategory})` : r.passed ? '✓ Pass' : '✗ Fail';
+      const checks = r.checks.map((c) => `<li class="${c.passed ? 'pass' : 'fail'}">${escapeHtml(c.type)}${Number.isFinite(c.score) ? ` (${c.score})` : ''}${c.reason ? `: ${escapeHtml(c.reason)}` : ''}</li>`).join('');
+      return `<td class="${status}"><details><summary>${label} <span class="lat">${r.latencyMs} ms</span></summary>
+${checks ? `<ul>${checks}</ul>` : ''}<pre>${escapeHtml(r.ok ? r.text : r.error)}</pre></details></td>`;
+    }).join('');
+    return `<tr><th><code>${escapeHtml(id)}</code><div class="prompt">${escapeHtml(shorten(rows[0].prompt, 160))}</div></th>${cells}</tr>`;
+  }).join('\n');
+
+  const grading = report.grading.inputTokens || report.grading.outputTokens
+    ? `<p class="meta">Grading (${escapeHtml(report.grader)}): ${escapeHtml(formatUsage(report.grading, report.grading.costUsd))}</p>` : '';
+  const problems = report.problems.length
+    ? `<h2>Skipped</h2><ul class="problems">${report.problems.map((p) => `<li>${escapeHtml(p)}</li>`).join('')}</ul>` : '';
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Eval: ${escapeHtml(report.suite)}</title>
+<style>
+  body { font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 24px; color: #0b1220; background: #f7f9fc; }
+  table { border-collapse: collapse; background: #fff; margin-bottom: 24px; }
+  th, td { border: 1px solid rgba(0,0,0,0.08); padding: 6px 10px; text-align: left; vertical-align: top; font-size: 13px; }
+  th small, .meta, .lat, .prompt { color: #5b6577; font-weight: 400; }
+  .meta { font-size: 12px; }
+  .lat { font-size: 11px; }
+  .prompt { font-size: 12px; max-width: 320px; }
+  .rate { font-weight: 600; }
+  td.pass { background: rgba(52,199,89,0.12); }
+  td.fail { background: rgba(255,159,10,0.14); }
+  td.error { background: rgba(215,0,21,0.10); }
+  li.fail, .problems { color: #d70015; }
+  summary { cursor: pointer; }
+  ul { margin: 6px 0; padding-left: 18px; }
+  pre { white-space: pre-wrap; word-break: break-word; max-width: 420px; max-height: 240px; overflow: auto; margin: 6px 0 0; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>Eval: ${escapeHtml(report.suite)}</h1>
+<p class="meta">${escapeHtml(report.startedAt)} → ${escapeHtml(report.finishedAt)}</p>
+${grading}
+<table>
+<thead><tr><th>Model</th><th>Pass rate</th><th>Passed</th><th>Errors</th><th>p50</th><th>p90</th><th>p95</th><th>Tokens</th><th>Cost</th><th>Cost / case</th></tr></thead>
+<tbody>
+${summaryRows}
+</tbody>
+</table>
+<table>
+<thead><tr><th>Case</th>${report.models.map((m) => `<th>${escapeHtml(m.model)}</th>`).join('')}</tr></thead>
+<tbody>
+${caseRows}
+</tbody>
+</table>
+${problems}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,218 @@
+// Render comparison sessions as JSON, Markdown or a standalone HTML report.
+// JSON exports use EXPORT_FORMAT and can be re-imported through POST /api/sessions/import.
+
+import { sumUsage, formatUsage } from './pricing.js';
+
+export const EXPORT_FORMAT = 'many-answers/session';
+export const EXPORT_FORMATS = ['json', 'markdown', 'html'];
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  markdown: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+};
+const EXTENSIONS = { json: 'json', markdown: 'md', html: 'html' };
+
+export function exportContentType(format) {
+  return CONTENT_TYPES[format];
+}
+
+export function exportFileName(session, format) {
+  const slug = String(session.title || 'session')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'session';
+  return `${slug}.${EXTENSIONS[format]}`;
+}
+
+// Wrap one-shot CLI results ({ [providerId]: result }) as a session with one thread per provider.
+// Sampling params come from each result, falling back to the shared ones given here.
+export function resultsToSession({ prompt, system, temperature, maxTokens, results }) {
+  const now = new Date().toISOString();
+  const threads = {};
+  for (const [id, r] of Object.entries(results)) {
+    threads[id] = [
+      { role: 'user', content: prompt, at: now },
+      {
+        role: 'assistant',
+        content: r.ok ? (r.text || '') : '',
+        provider: r.provider,
+        model: r.model,
+        latencyMs: r.latencyMs,
+        usage: r.usage,
+        costUsd: r.costUsd,
+        params: r.params || { system, temperature, maxTokens },
+        tools: r.tools,
+        ...(r.ok ? {} : { error: r.error, errorCategory: r.errorCategory }),
+        at: now,
+      },
+    ];
+  }
+  return { title: prompt.replace(/\s+/g, ' ').trim().slice(0, 80), createdAt: now, updatedAt: now, threads };
+}
+
+// Model id, provider and sampling params of a card, taken from its latest assistant turn
+function cardInfo(thread) {
+  const last = [...thread].reverse().find((m) => m.role === 'assistant') || {};
+  return { model: last.model, provider: last.provider, params: last.params || {} };
+}
+
+function describeParams(params) {
+  const parts = [];
+  if (typeof params.temperature === 'number') parts.push(`temperature ${params.temperature}`);
+  if (typeof params.maxTokens === 'number') parts.push(`max tokens ${params.maxTokens}`);
+  return parts.join(', ');
+}
+
+function toJson(session) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    session: {
+      id: session.id,
+      title: session.title,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      threads: session.threads || {},
+    },
+  }, null, 2);
+}
+
+// Latency plus token usage of one answer, e.g. "812 ms, 120 in · 340 out · $0.000420"
+function answerStats(m) {
+  return [Number.isFinite(m.latencyMs) ? `${m.latencyMs} ms` : '', formatUsage(m.usage, m.costUsd)].filter(Boolean).join(', ');
+}
+
+// One line per tool call an answer made, e.g. 'calculator({"expression":"2+2"}) → 4'
+function toolCallLines(m) {
+  return (m.tools || []).map((t) => {
+    const outcome = t.ok ? t.result : `Error: ${t.error}`;
+    const flat = String(outcome).replace(/\s+/g, ' ').trim();
+    return `${t.name}(${JSON.stringify(t.arguments)}) → ${flat.length > 200 ? `${flat.slice(0, 199)}…` : flat}`;
+  });
+}
+
+function sessionTotal(session) {
+  const total = sumUsage(Object.values(session.threads || {}).flat().filter((m) => m.role === 'assistant'));
+  return total.inputTokens || total.outputTokens ? formatUsage(total, total.costUsd) : '';
+}
+
+function toMarkdown(session) {
+  const lines = [`# ${session.title || 'Untitled session'}`, ''];
+  if (session.createdAt) lines.push(`_Created ${session.createdAt}_`, '');
+  const total = sessionTotal(session);
+  if (total) lines.push(`_Total: ${total}_`, '');
+  for (const [cardId, thread] of Object.entries(session.threads || {})) {
+    if (!thread.length) continue;
+    const info = cardInfo(thread);
+    lines.push(`## ${cardId}: ${info.model || 'unknown model'}${info.provider ? ` (${info.provider})` : ''}`, '');
+    const params = describeParams(info.params);
+    if (params) lines.push(`- Parameters: ${params}`);
+    if (info.params.system) lines.push(`- System prompt: ${info.params.system.replace(/\s+/g, ' ')}`);
+    if (params || info.params.system) lines.push('');
+    for (const m of thread) {
+      if (m.role === 'user') {
+        lines.push('**Prompt:**', '', quote(m.content), '');
+      } else {
+        const stats = answerStats(m);
+        lines.push(`**${m.model || 'Answer'}**${stats ? ` (${stats})` : ''}:`, '');
+        const calls = toolCallLines(m);
+        if (calls.length) lines.push('Tool calls:', '', ...calls.map((c) => `- \`${c.replace(/`/g, "'")}\``), '');
+        lines.push(m.error ? `> Error: ${m.error}` : m.content, '');
+      }
+    }
+  }
+  return lines.join('\n');
+}
+
+function quote(text) {
+  return String(text).split('\n').map((l) => `> ${l}`).join('\n');
+}
+
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function toHtml(session) {
+  const cards = Object.entries(session.threads || {}).filter(([, t]) => t.length).map(([cardId, thread]) => {
+    const info = cardInfo(thread);
+    const params = describeParams(info.params);
+    const turns = thread.map((m) => {
+      if (m.role === 'user') return `<div class="msg user">${escapeHtml(m.content)}</div>`;
+      const stats = answerStats(m);
+      const latency = stats ? `<span class="lat">${escapeHtml(stats)}</span>` : '';
+      const body = m.error ? `<span class="error">Error: ${escapeHtml(m.error)}</span>` : escapeHtml(m.content);
+      const calls = toolCallLines(m);
+      const trace = calls.length ? `<ol class="tools">${calls.map((c) => `<li>${escapeHtml(c)}</li>`).join('')}</ol>` : '';
+      return `<div class="msg assistant">${latency}${trace}${body}</div>`;
+    }).join('\n');
+    return `<section class="card">
+  <h2>${escapeHtml(info.model || cardId)}${info.provider ? ` <small>${escapeHtml(info.provider)}</small>` : ''}</h2>
+  ${params ? `<p class="meta">${escapeHtml(params)}</p>` : ''}
+  ${info.params.system ? `<p class="meta">System: ${escapeHtml(info.params.system)}</p>` : ''}
+  ${turns}
+</section>`;
+  }).join('\n');
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(session.title || 'Many Answers session')}</title>
+<style>
+  body { font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 24px; color: #0b1220; background: #f7f9fc; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 16px; align-items: start; }
+  .card { background: #fff; border: 1px solid rgba(0,0,0,0.08); border-radius: 12px; padding: 12px; }
+  .card h2 { font-size: 15px; margin: 0 0 6px; }
+  .card h2 small { color: #5b6577; font-weight: 400; }
+  .meta { color: #5b6577; font-size: 12px; margin: 0 0 6px; white-space: pre-wrap; }
+  .msg { padding: 8px 10px; border-radius: 10px; border: 1px solid rgba(0,0,0,0.08); margin-top: 6px; white-space: pre-wrap; }
+  .msg.user { background: rgba(10,132,255,0.08); }
+  .lat { float: right; color: #5b6577; font-size: 11px; }
+  .error { color: #d70015; }
+  .tools { margin: 0 0 6px; padding-left: 20px; color: #5b6577; font-size: 12px; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; white-space: normal; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(session.title || 'Untitled session')}</h1>
+${session.createdAt ? `<p class="meta">Created ${escapeHtml(session.createdAt)}</p>` : ''}
+${sessionTotal(session) ? `<p class="meta">Total: ${escapeHtml(sessionTotal(session))}</p>` : ''}
+<div class="grid">
+${cards}
+</div>
+</body>
+</html>
+`;
+}
+
+export function exportSession(session, format = 'json') {
+  if (format === 'markdown') return toMarkdown(session);
+  if (format === 'html') return toHtml(session);
+  if (format === 'json') return toJson(session);
+  throw new Error(`Unsupported export format: ${format}`);
+}
+
+// Validate a JSON export and return { title, createdAt, threads } ready to store; throws on bad input
+export function parseSessionExport(data) {
+  if (!data || data.format !== EXPORT_FORMAT || typeof data.session !== 'object' || !data.session) {
+    throw new Error(`Not a ${EXPORT_FORMAT} export`);
+  }
+  const threads = {};
+  for (const [cardId, thread] of Object.entries(data.session.threads || {})) {
+    if (!Array.isArray(thread)) throw new Error(`Thread ${cardId} is not an array`);
+    threads[cardId] = thread
+      .filter((m) => m && (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string')
+      .map((m) => ({ ...m }));
+  }
+  return {
+    title: typeof data.session.title === 'string' ? data.session.title : '',
+    createdAt: typeof data.session.createdAt === 'string' ? data.session.createdAt : undefined,
+    threads,
+  };
+}
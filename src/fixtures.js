@@ -0,0 +1,135 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..');
+
+// Record/replay of provider answers, so the CLI, the server and evals can run without network:
+//   FIXTURES_MODE=record  answers from real providers are also written to fixture files
+//   FIXTURES_MODE=replay  answers only come from fixture files; a request without one fails
+// Fixtures are <FIXTURES_DIR or ./fixtures>/<provider>/<model>-<hash>.json, where the hash covers everything
+// that shapes the answer (model, prompt, system, history, sampling settings, attachments, tools, schema).
+// Streaming and non-streaming calls share fixtures. Images from `draw` are not recorded.
+
+export const FIXTURE_MODES = ['record', 'replay'];
+
+let warnedMode = null;
+
+// The mode from FIXTURES_MODE, read on every call; null when off
+export function fixturesMode() {
+  const mode = process.env.FIXTURES_MODE;
+  if (!mode) return null;
+  if (FIXTURE_MODES.includes(mode)) return mode;
+  if (warnedMode !== mode) console.warn(`Ignoring FIXTURES_MODE=${mode} (expected ${FIXTURE_MODES.join(' or ')})`);
+  warnedMode = mode;
+  return null;
+}
+
+export function fixturesDir() {
+  return path.resolve(process.env.FIXTURES_DIR || path.join(rootDir, 'fixtures'));
+}
+
+// In replay mode a provider counts as configured when something was recorded for it
+export function hasFixtures(providerId) {
+  return fs.existsSync(path.join(fixturesDir(), providerId));
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// The parts of a request that shape the answer, as stored in the fixture (and keying the response cache, src/cache.js)
+export function answerRequest(provider, { prompt, system, model, temperature, maxTokens, maxCompletionTokens, history, attachments, tools, toolSteps, schema }) {
+  return {
+    provider: provider.id,
+    model,
+    system,
+    prompt,
+    temperature,
+    maxTokens,
+    maxCompletionTokens,
+    history: history?.length ? history.map((m) => ({ role: m?.role, content: m?.content })) : undefined,
+    attachments: attachments?.length ? attachments.map((a) => ({ name: a.name, mimeType: a.mimeType, sha256: sha256(a.data || '') })) : undefined,
+    tools: tools?.length ? tools : undefined,
+    // Tool latencies differ from run to run, so they are left out of the key
+    toolSteps: toolSteps?.length ? toolSteps.map((step) => ({ turn: step.turn, results: step.results.map(({ latencyMs, ...r }) => r) })) : undefined,
+    schema,
+  };
+}
+
+// <provider>/<model>-<hash>.json for an answerRequest
+export function requestFileName(request) {
+  const slug = String(request.model || 'default').replace(/[^A-Za-z0-9._-]+/g, '_');
+  return path.join(request.provider, `${slug}-${sha256(JSON.stringify(request)).slice(0, 16)}.json`);
+}
+
+function fixtureFile(request) {
+  return path.join(fixturesDir(), requestFileName(request));
+}
+
+function missingFixture(provider, request, file) {
+  const relative = path.relative(process.cwd(), file);
+  const shown = relative.startsWith('..') ? file : relative;
+  const error = new Error(`No recorded answer from ${provider.label} (${request.model}) for this request: ${shown} does not exist (record it with FIXTURES_MODE=record)`);
+  error.name = 'FixtureMissingError';
+  return error;
+}
+
+function readFixture(provider, request) {
+  const file = fixtureFile(request);
+  if (!fs.existsSync(file)) throw missingFixture(provider, request, file);
+  return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+}
+
+function writeFixture(request, response) {
+  const file = fixtureFile(request);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({ request, response, recordedAt: new Date().toISOString() }, null, 2)}\n`);
+}
+
+// Wrap an adapter's ask and stream (in place, so getters on the descriptor stay live) to record or
+// replay per FIXTURES_MODE. Adapters marked `offline` (the mock provider) answer locally and are left alone.
+export function withFixtures(adapter) {
+  if (adapter.offline) return adapter;
+  const { ask, stream } = adapter;
+  adapter.ask = async (options) => {
+    const mode = fixturesMode();
+    if (!mode) return ask(options);
+    const request = answerRequest(adapter, options);
+    if (mode === 'replay') {
+      const { text, usage, toolCalls, turn } = readFixture(adapter, request);
+      return toolCalls ? { text, usage, toolCalls, turn } : { text, usage };
+    }
+    const answer = await ask(options);
+    writeFixture(request, { text: answer.text, usage: answer.usage, toolCalls: answer.toolCalls, turn: answer.turn });
+    return answer;
+  };
+  if (typeof stream !== 'function') return adapter;
+  adapter.stream = async function* streamWithFixtures(options) {
+    const mode = fixturesMode();
+    if (!mode) {
+      yield* stream(options);
+      return;
+    }
+    const request = answerRequest(adapter, options);
+    if (mode === 'replay') {
+      const { text, usage, chunks } = readFixture(adapter, request);
+      for (const chunk of chunks || (text ? [text] : [])) yield chunk;
+      if (usage) yield { usage };
+      return;
+    }
+    // Only a stream that ran to the end is recorded
+    const chunks = [];
+    let usage;
+    for await (const part of stream(options)) {
+      if (typeof part === 'string') chunks.push(part);
+      else if (part?.usage) usage = part.usage;
+      yield part;
+    }
+    writeFixture(request, { text: chunks.join(''), usage, chunks });
+  };
+  return adapter;
+}
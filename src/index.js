@@ -1,15 +1,29 @@
 #!/usr/bin/env node
 import 'dotenv/config';
+import fs from 'fs';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import chalk from 'chalk';
-import { askOpenAI, askClaude, askGemini, DEFAULTS, withTimeout } from './providers.js';
+import { DEFAULTS, listProviders, hasProviderKey } from './providers.js';
+import { askProviders } from './ask.js';
+import { runBatch, defaultOutputPath } from './batch.js';
+import { runChat } from './chat.js';
+import { requireProfile } from './config.js';
+import { exportSession, resultsToSession } from './export.js';
+import { judgeAnswers } from './judge.js';
+import { sumUsage, formatUsage, formatCost } from './pricing.js';
+import { formatDiff, similarity } from './diff.js';
+import { readAttachmentFile } from './attachments.js';
+import { drawProviders, imageProviders, saveImages, MAX_IMAGES } from './draw.js';
+import { requireTemplate, renderTemplate } from './templates.js';
+import { listTools, resolveTools } from './tools.js';
+import { readSchemaFile } from './schema.js';
+import { runEval, evalTargets, writeEvalReport, formatPassRate } from './eval.js';
 
 const DEFAULT_CLI = DEFAULTS;
 
-function nowMs() {
-  return Date.now();
-}
+// Header colors, assigned to providers in registry order
+const PALETTE = [chalk.cyan, chalk.magenta, chalk.yellow, chalk.green, chalk.blue, chalk.red];
 
 async function readStdinIfPiped() {
   if (process.stdin.isTTY) return null;
@@ -20,76 +34,35 @@ async function readStdinIfPiped() {
 }
 
 
-async function askOpenAI({ prompt, system, model, temperature, maxTokens }) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) throw new Error('Missing OPENAI_API_KEY');
-  const client = new OpenAI({ apiKey });
-
-  const messages = [];
-  if (system) messages.push({ role: 'system', content: system });
-  messages.push({ role: 'user', content: prompt });
-
-  const completion = await client.chat.completions.create({
-    model,
-    messages,
-    temperature,
-    max_tokens: maxTokens,
-  });
-  const choice = completion.choices?.[0]?.message;
-  const content = Array.isArray(choice?.content)
-    ? choice.content.map((c) => (typeof c === 'string' ? c : c?.text || '')).join('')
-    : (choice?.content ?? '');
-  return content;
-}
-
-async function askClaude({ prompt, system, model, temperature, maxTokens }) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) throw new Error('Missing ANTHROPIC_API_KEY');
-  const anthropic = new Anthropic({ apiKey });
-
-  const response = await anthropic.messages.create({
-    model,
-    system: system || undefined,
-    max_tokens: maxTokens,
-    temperature,
-    messages: [
-      { role: 'user', content: prompt },
-    ],
-  });
-  // response.content is an array of blocks; collect text
-  const text = (response.content || [])
-    .map((b) => (b.type === 'text' ? b.text : ''))
-    .join('');
-  return text;
-}
-
-async function askGemini({ prompt, system, model, temperature, maxTokens }) {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) throw new Error('Missing GEMINI_API_KEY');
-  const genAI = new GoogleGenerativeAI(apiKey);
-  const geminiModel = genAI.getGenerativeModel({
-    model,
-    ...(system ? { systemInstruction: system } : {}),
-  });
-  const generationConfig = {
-    temperature,
-    maxOutputTokens: maxTokens,
-  };
-  const result = await geminiModel.generateContent({
-    contents: [{ role: 'user', parts: [{ text: prompt }] }],
-    generationConfig,
-  });
-  const text = (await result.response).text();
-  return text;
-}
-
 function printDivider() {
   console.log(chalk.gray('────────────────────────────────────────'));
 }
 
 async function main() {
-  const argv = await yargs(hideBin(process.argv))
+  const cli = yargs(hideBin(process.argv))
     .usage('Usage: $0 -p "your question" [options]')
+    .command('batch <input>', 'Ask every prompt in a JSONL file and append results to a JSONL file', (y) => y
+      .positional('input', { type: 'string', describe: 'Input JSONL: one { id?, prompt, system?, models?, providers?, ... } per line' })
+      .option('out', { alias: 'o', type: 'string', describe: 'Results JSONL (default: <input>.results.jsonl)' })
+      .option('concurrency', { alias: 'c', type: 'number', default: 4, describe: 'Provider calls in flight at once' })
+      .option('resume', { type: 'boolean', default: true, describe: 'Skip prompt x provider pairs already in the results file (--no-resume starts over)' }))
+    .command('eval <suite>', 'Score models against the expected answers in a JSONL suite and write an HTML report', (y) => y
+      .positional('suite', { type: 'string', describe: 'Suite JSONL: one { id?, prompt, expect: { equals | contains | regex | schema | rubric } } per line' })
+      .option('models', { type: 'string', array: true, describe: 'Models to compare (default: each enabled provider\'s --model-<id>); <provider>=<model> picks the provider' })
+      .option('grader', { type: 'string', describe: 'Model that grades "rubric" checks (default from config/judge.json)' })
+      .option('report', { type: 'string', describe: 'HTML report path (default: <suite>.report.html)' })
+      .option('concurrency', { alias: 'c', type: 'number', default: 4, describe: 'Provider calls in flight at once' }))
+    .command('chat', 'Interactive multi-turn chat with every enabled provider (type /help inside)', (y) => y
+      .option('history', { type: 'string', choices: ['drop-oldest', 'keep-ends', 'summarize'], describe: 'What is sent once the conversation outgrows a model\'s context window (default from the config files, else drop-oldest)' })
+      .option('max-history-tokens', { type: 'number', describe: 'Cut the history down to about this many tokens, below the context window' })
+      .option('summary-model', { type: 'string', describe: `Model that summarizes older turns with --history summarize [default: ${DEFAULTS.context.summaryModel}]` }))
+    .command('draw [words..]', 'Generate images with every enabled image-capable provider and save them', (y) => y
+      .positional('words', { type: 'string', describe: 'Image prompt (or use -p, or pipe it)' })
+      .option('size', { type: 'string', default: '1024x1024', describe: 'Image size, e.g. 1024x1024, 1536x1024, 1024x1536' })
+      .option('quality', { type: 'string', describe: 'Image quality where supported (gpt-image: low, medium, high)' })
+      .option('count', { alias: 'n', type: 'number', default: 1, describe: `Images per provider (1-${MAX_IMAGES})` })
+      .option('image-model', { type: 'string', array: true, describe: 'Override a provider\'s image model: <provider>=<model> (repeatable)' })
+      .option('out', { alias: 'o', type: 'string', default: 'images', describe: 'Directory to save the images in' }))
     .option('prompt', {
       alias: 'p',
       type: 'string',
@@ -99,158 +72,485 @@ async function main() {
       type: 'string',
       describe: 'System instruction / persona',
     })
+    // No yargs defaults for these: unset values fall back to the --profile settings, then DEFAULTS
     .option('temperature', {
       alias: 't',
       type: 'number',
-      default: DEFAULT_CLI.temperature,
+      describe: `Sampling temperature [default: ${DEFAULT_CLI.temperature}]`,
     })
     .option('max-tokens', {
       alias: 'm',
       type: 'number',
-      default: DEFAULT_CLI.maxTokens,
+      describe: `Max output tokens [default: ${DEFAULT_CLI.maxTokens}]`,
     })
     .option('timeout', {
       type: 'number',
-      default: DEFAULT_CLI.timeoutMs,
-      describe: 'Timeout in milliseconds per provider',
+      describe: `Timeout in milliseconds per provider [default: ${DEFAULT_CLI.timeoutMs}]`,
     })
-    .option('model-openai', {
+    .option('file', {
       type: 'string',
-      default: DEFAULT_CLI.openaiModel,
+      array: true,
+      describe: 'Attach a file (repeatable): images and PDFs go to models that read them, text files are inlined',
     })
-    .option('model-claude', {
+    .option('tools', {
       type: 'string',
-      default: DEFAULT_CLI.claudeModel,
+      array: true,
+      describe: `Let the models call local tools (${listTools().map((t) => t.name).join(', ')}); a bare --tools enables all of them`,
     })
-    .option('model-gemini', {
+    .option('schema', {
       type: 'string',
-      default: DEFAULT_CLI.geminiModel,
+      describe: 'JSON Schema file: every provider answers with JSON matching it, and each answer is validated',
     })
-    .option('openai', {
-      type: 'boolean',
-      default: true,
-      describe: 'Enable OpenAI provider',
+    .option('template', {
+      type: 'string',
+      describe: 'Prompt template from templates/ (the prompt text, if any, fills its {{input}})',
     })
-    .option('claude', {
-      type: 'boolean',
-      default: true,
-      describe: 'Enable Anthropic Claude provider',
+    .option('var', {
+      type: 'string',
+      array: true,
+      describe: 'Template variable as key=value (repeatable)',
     })
-    .option('gemini', {
+    .option('profile', {
+      type: 'string',
+      describe: 'Named profile from config/profiles (also applies config/<provider>.json and config/models/*.json)',
+    })
+    .option('cache', {
       type: 'boolean',
       default: true,
-      describe: 'Enable Google Gemini provider',
+      describe: 'Answer identical requests from the response cache in data/cache (--no-cache always asks the providers)',
+    });
+  for (const provider of listProviders()) {
+    cli
+      .option(`model-${provider.id}`, {
+        type: 'string',
+        default: provider.defaultModel,
+      })
+      .option(provider.id, {
+        type: 'boolean',
+        default: true,
+        describe: `Enable ${provider.label} provider`,
+      });
+  }
+  const argv = await cli
+    .option('judge', {
+      type: 'string',
+      describe: 'Have this model rank, critique and synthesize the answers (default model from config/judge.json)',
+    })
+    .option('diff', {
+      type: 'string',
+      choices: ['words', 'lines'],
+      // A bare `--diff` compares word by word
+      coerce: (value) => (value === '' ? 'words' : value),
+      describe: 'Text output: show each answer as a diff against the first successful one',
     })
     .option('format', {
       alias: 'f',
       type: 'string',
-      choices: ['text', 'json'],
+      choices: ['text', 'json', 'markdown', 'html'],
       default: 'text',
     })
     .help()
     .parse();
 
+  if (argv.profile) {
+    try {
+      requireProfile(argv.profile);
+    } catch (err) {
+      console.error(chalk.red(err.message));
+      process.exit(1);
+    }
+  }
+  if (argv._[0] === 'batch') return batchCommand(argv);
+  if (argv._[0] === 'chat') return chatCommand(argv);
+  if (argv._[0] === 'eval') return evalCommand(argv);
+  if (argv._[0] === 'draw') return drawCommand(argv);
+
+  let template = null;
+  if (argv.template) {
+    try {
+      template = requireTemplate(argv.template);
+    } catch (err) {
+      console.error(chalk.red(err.message));
+      process.exit(1);
+    }
+  }
   let prompt = argv.prompt || (argv._.length ? String(argv._.join(' ')).trim() : '');
-  if (!prompt) {
+  // A template without {{input}} is complete on its own, so stdin is left alone
+  if (!prompt && (!template || template.variables.some((v) => v.name === 'input'))) {
     const piped = await readStdinIfPiped();
     if (piped) prompt = piped;
   }
+  let templateSystem;
+  if (template) {
+    try {
+      ({ prompt, system: templateSystem } = fillTemplate(template, argv.var, prompt));
+    } catch (err) {
+      console.error(chalk.red(err.message));
+      process.exit(1);
+    }
+  }
   if (!prompt) {
-    console.error(chalk.red('No prompt provided. Use -p "your question" or pipe text.'));
+    console.error(chalk.red('No prompt provided. Use -p "your question", pipe text or use --template.'));
     process.exit(1);
   }
 
+  const attachments = readAttachments(argv);
+  const tools = selectedTools(argv);
+  const schema = readSchema(argv, tools);
   const config = {
     temperature: argv.temperature,
     maxTokens: argv['max-tokens'],
     timeoutMs: argv.timeout,
-    system: argv.system || undefined,
+    // An explicit --system wins over the template's
+    system: argv.system || templateSystem || undefined,
   };
 
-  const jobs = [];
-  const results = {};
-
-  if (argv.openai && process.env.OPENAI_API_KEY) {
-    const startedAt = nowMs();
-    const p = withTimeout(
-      askOpenAI({ prompt, system: config.system, model: argv['model-openai'], temperature: config.temperature, maxTokens: config.maxTokens }),
-      config.timeoutMs,
-      'OpenAI'
-    ).then((r) => {
-      results.openai = {
-        provider: 'openai',
-        model: argv['model-openai'],
-        ok: r.ok,
-        text: r.ok ? r.value : undefined,
-        error: r.ok ? undefined : String(r.error?.message || r.error),
-        latencyMs: nowMs() - startedAt,
-      };
-    });
-    jobs.push(p);
-  }
-
-  if (argv.claude && process.env.ANTHROPIC_API_KEY) {
-    const startedAt = nowMs();
-    const p = withTimeout(
-      askClaude({ prompt, system: config.system, model: argv['model-claude'], temperature: config.temperature, maxTokens: config.maxTokens }),
-      config.timeoutMs,
-      'Claude'
-    ).then((r) => {
-      results.claude = {
-        provider: 'claude',
-        model: argv['model-claude'],
-        ok: r.ok,
-        text: r.ok ? r.value : undefined,
-        error: r.ok ? undefined : String(r.error?.message || r.error),
-        latencyMs: nowMs() - startedAt,
-      };
-    });
-    jobs.push(p);
-  }
-
-  if (argv.gemini && (process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY)) {
-    const startedAt = nowMs();
-    const p = withTimeout(
-      askGemini({ prompt, system: config.system, model: argv['model-gemini'], temperature: config.temperature, maxTokens: config.maxTokens }),
-      config.timeoutMs,
-      'Gemini'
-    ).then((r) => {
-      results.gemini = {
-        provider: 'gemini',
-        model: argv['model-gemini'],
-        ok: r.ok,
-        text: r.ok ? r.value : undefined,
-        error: r.ok ? undefined : String(r.error?.message || r.error),
-        latencyMs: nowMs() - startedAt,
-      };
-    });
-    jobs.push(p);
-  }
+  const results = await askProviders({ prompt, attachments, tools, schema, cache: argv.cache, ...config, profile: argv.profile, models: enabledModels(argv) });
 
-  await Promise.all(jobs);
+  // `--judge` with no value uses the model from config/judge.json
+  if (argv.judge !== undefined) {
+    const answers = Object.values(results)
+      .filter((r) => r.ok)
+      .map((r) => ({ id: r.provider, model: r.model, text: r.text }));
+    results.judge = await judgeAnswers({ prompt, answers, model: argv.judge || undefined });
+  }
 
   if (argv.format === 'json') {
     console.log(JSON.stringify(results, null, 2));
     return;
   }
+  if (argv.format === 'markdown' || argv.format === 'html') {
+    const { judge, ...answers } = results;
+    const session = resultsToSession({ prompt, results: answers });
+    console.log(exportSession(session, argv.format));
+    return;
+  }
+
+  const entries = listProviders().map((p, i) => [p.label, results[p.id], PALETTE[i % PALETTE.length]]);
 
-  const entries = [
-    ['OpenAI', results.openai, chalk.cyan],
-    ['Claude', results.claude, chalk.magenta],
-    ['Gemini', results.gemini, chalk.yellow],
-  ];
+  // With --diff, the first successful answer is the reference the others are compared against
+  const reference = argv.diff ? entries.find(([, res]) => res?.ok) : null;
 
   for (const [label, res, color] of entries) {
     if (!res) continue;
-    const header = `${label} (${res.model}) ${color(`[${res.latencyMs}ms]`)}`;
+    const header = `${label} (${res.model}) ${color(`[${res.latencyMs}ms${res.cached ? ', cached' : ''}]`)}`;
     console.log(color.bold(header));
     if (res.ok) {
-      console.log(res.text?.trim() || '');
+      printToolTrace(res.tools);
+      if (reference && res !== reference[1]) {
+        const [refLabel, ref] = reference;
+        const a = ref.text?.trim() || '';
+        const b = res.text?.trim() || '';
+        console.log(chalk.gray(`Similarity to ${refLabel}: ${Math.round(similarity(a, b) * 100)}% (${chalk.red.strikethrough('only in ' + refLabel)}, ${chalk.green('only here')})`));
+        console.log(formatDiff(a, b, argv.diff));
+      } else if (res.parsed !== undefined) {
+        console.log(JSON.stringify(res.parsed, null, 2));
+      } else {
+        console.log(res.text?.trim() || '');
+      }
+      printValidation(res.validationErrors);
+      const usage = formatUsage(res.usage, res.costUsd);
+      if (usage) console.log(chalk.gray(`Tokens: ${usage}`));
     } else {
-      console.log(chalk.red(`Error: ${res.error}`));
+      console.log(chalk.red(`Error (${res.errorCategory}, ${res.attempts} attempt${res.attempts === 1 ? '' : 's'}): ${res.error}`));
     }
     printDivider();
   }
+
+  if (results.judge) printJudge(results.judge, results);
+
+  const total = sumUsage(Object.values(results));
+  if (total.inputTokens || total.outputTokens) {
+    console.log(chalk.bold(`Total: ${formatUsage(total, total.costUsd)}`));
+  }
+}
+
+// Render the --template with its --var values; prompt text given alongside fills the template's {{input}}
+function fillTemplate(template, pairs = [], text = '') {
+  const values = {};
+  for (const pair of pairs) {
+    const at = pair.indexOf('=');
+    if (at < 1) throw new Error(`--var expects key=value, got "${pair}"`);
+    values[pair.slice(0, at)] = pair.slice(at + 1);
+  }
+  if (text) {
+    if (!template.variables.some((v) => v.name === 'input')) {
+      throw new Error(`Template "${template.name}" has no {{input}} for the prompt text; pass values with --var instead`);
+    }
+    values.input ??= text;
+  }
+  return renderTemplate(template, values);
+}
+
+// --file attachments; an unreadable or unsupported file stops before anything is asked
+function readAttachments(argv) {
+  try {
+    return (argv.file || []).map(readAttachmentFile);
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    process.exit(1);
+  }
+}
+
+// --tools names, or every registered tool for a bare --tools; undefined without the flag
+function selectedTools(argv) {
+  if (!argv.tools) return undefined;
+  const names = argv.tools.flatMap((t) => t.split(',')).map((t) => t.trim()).filter(Boolean);
+  if (!names.length) return listTools().map((t) => t.name);
+  try {
+    resolveTools(names);
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    process.exit(1);
+  }
+  return names;
+}
+
+// --schema file, read and checked before anything is asked
+function readSchema(argv, tools) {
+  if (!argv.schema) return undefined;
+  try {
+    if (tools) throw new Error('--schema cannot be combined with --tools');
+    return readSchemaFile(argv.schema);
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    process.exit(1);
+  }
+}
+
+// Whether a --schema answer matched, after the answer
+function printValidation(errors) {
+  if (!errors) return;
+  if (!errors.length) {
+    console.log(chalk.green('✓ Matches the schema'));
+    return;
+  }
+  console.log(chalk.red(`✗ ${errors.length} schema problem${errors.length === 1 ? '' : 's'}:`));
+  errors.forEach((e) => console.log(chalk.red(`  ${e}`)));
+}
+
+// One line per tool call, before the answer it led to
+function printToolTrace(trace) {
+  const oneLine = (text, max = 120) => {
+    const flat = String(text).replace(/\s+/g, ' ').trim();
+    return flat.length > max ? `${flat.slice(0, max - 1)}…` : flat;
+  };
+  for (const call of trace || []) {
+    const outcome = call.ok ? `= ${oneLine(call.result)}` : chalk.red(`failed: ${call.error}`);
+    console.log(chalk.gray(`→ ${call.name}(${oneLine(JSON.stringify(call.arguments), 80)}) ${outcome}`));
+  }
+}
+
+// Providers enabled on the command line, with their --model-<id> choice
+function enabledModels(argv) {
+  const models = {};
+  for (const provider of listProviders()) {
+    if (argv[provider.id]) models[provider.id] = argv[`model-${provider.id}`];
+  }
+  return models;
+}
+
+async function chatCommand(argv) {
+  await runChat({
+    models: enabledModels(argv),
+    profile: argv.profile,
+    system: argv.system || undefined,
+    temperature: argv.temperature,
+    maxTokens: argv['max-tokens'],
+    timeoutMs: argv.timeout,
+    cache: argv.cache,
+    context: {
+      strategy: argv.history,
+      maxHistoryTokens: argv['max-history-tokens'],
+      summaryModel: argv['summary-model'],
+    },
+    colors: Object.fromEntries(listProviders().map((p, i) => [p.id, PALETTE[i % PALETTE.length]])),
+  });
+}
+
+// A non-numeric --concurrency would start no workers at all and "finish" without running anything
+function checkConcurrency(argv) {
+  if (!Number.isInteger(argv.concurrency) || argv.concurrency < 1) {
+    console.error(chalk.red('--concurrency must be a whole number of at least 1'));
+    process.exit(1);
+  }
+}
+
+async function batchCommand(argv) {
+  checkConcurrency(argv);
+  const models = enabledModels(argv);
+  // Ctrl-C stops in-flight calls; finished results are already on disk for --resume
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    console.error(chalk.yellow('\nInterrupted, stopping. Run the same command again to resume.'));
+    controller.abort();
+  });
+  const attachments = readAttachments(argv);
+  const tools = selectedTools(argv);
+  const schema = readSchema(argv, tools);
+  const outputPath = argv.out || defaultOutputPath(argv.input);
+  const summary = await runBatch({
+    inputPath: argv.input,
+    outputPath,
+    models,
+    attachments,
+    tools,
+    schema,
+    profile: argv.profile,
+    system: argv.system || undefined,
+    temperature: argv.temperature,
+    maxTokens: argv['max-tokens'],
+    timeoutMs: argv.timeout,
+    cache: argv.cache,
+    concurrency: argv.concurrency,
+    resume: argv.resume,
+    signal: controller.signal,
+    onSkip: (message) => console.error(chalk.yellow(`Skipped ${message}`)),
+    onResult: (row, { finished, total }) => {
+      const invalid = row.validationErrors?.length ? chalk.yellow(` (${row.validationErrors.length} schema problem${row.validationErrors.length === 1 ? '' : 's'})`) : '';
+      const status = row.ok ? chalk.green('ok') + invalid : chalk.red(`${row.errorCategory}: ${row.error}`);
+      console.error(`${chalk.gray(`[${finished}/${total}]`)} ${row.id} ${row.provider} (${row.model}) ${status} ${chalk.gray(`${row.latencyMs}ms`)}`);
+    },
+  });
+  const resumed = summary.skipped ? `, ${summary.skipped} already done` : '';
+  console.error(chalk.bold(`Batch finished: ${summary.ok} ok, ${summary.failed} failed${resumed} → ${summary.outputPath}`));
+  if (controller.signal.aborted) process.exitCode = 130;
+}
+
+async function evalCommand(argv) {
+  checkConcurrency(argv);
+  let targets;
+  try {
+    targets = argv.models?.length
+      ? evalTargets(argv.models.flatMap((m) => m.split(',')).map((m) => m.trim()).filter(Boolean))
+      : Object.entries(enabledModels(argv)).map(([provider, model]) => ({ provider, model }));
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    process.exit(1);
+  }
+  if (!fs.existsSync(argv.suite)) {
+    console.error(chalk.red(`Cannot read ${argv.suite}: no such file`));
+    process.exit(1);
+  }
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    console.error(chalk.yellow('\nInterrupted, stopping.'));
+    controller.abort();
+  });
+  const report = await runEval({
+    suitePath: argv.suite,
+    targets,
+    grader: argv.grader,
+    profile: argv.profile,
+    system: argv.system || undefined,
+    temperature: argv.temperature,
+    maxTokens: argv['max-tokens'],
+    timeoutMs: argv.timeout,
+    cache: argv.cache,
+    concurrency: argv.concurrency,
+    signal: controller.signal,
+    onSkip: (message) => console.error(chalk.yellow(`Skipped ${message}`)),
+    onResult: (row, { finished, total }) => {
+      const failed = row.checks.filter((c) => !c.passed).map((c) => c.reason || c.type).join('; ');
+      const status = !row.ok ? chalk.red(`${row.errorCategory}: ${row.error}`) : row.passed ? chalk.green('pass') : chalk.yellow(`fail (${failed})`);
+      console.error(`${chalk.gray(`[${finished}/${total}]`)} ${row.id} ${row.model} ${status} ${chalk.gray(`${row.latencyMs}ms`)}`);
+    },
+  });
+  const reportPath = writeEvalReport(report, argv.report || undefined);
+
+  if (argv.format === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printEvalSummary(report);
+  }
+  console.error(chalk.bold(`Report → ${reportPath}`));
+  if (controller.signal.aborted) process.exitCode = 130;
+  else if (report.results.length === 0) process.exitCode = 1;
+}
+
+// Per-model summary as an aligned table
+function printEvalSummary(report) {
+  const ms = (value) => (value === null ? '–' : `${value}ms`);
+  const header = ['Model', 'Pass rate', 'Passed', 'Errors', 'p50', 'p90', 'p95', 'Cost', 'Cost/case'];
+  const rows = report.models.map((m) => [
+    m.model, formatPassRate(m.passRate), `${m.passed}/${m.cases}`, String(m.errors),
+    ms(m.latencyMs.p50), ms(m.latencyMs.p90), ms(m.latencyMs.p95), formatCost(m.costUsd) || '–', formatCost(m.costPerCase) || '–',
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  const line = (cells) => cells.map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join('  ');
+  console.log(chalk.bold(line(header)));
+  rows.forEach((r) => console.log(line(r)));
+  const grading = report.grading;
+  if (grading.inputTokens || grading.outputTokens) console.log(chalk.gray(`Grading (${report.grader}): ${formatUsage(grading, grading.costUsd)}`));
+}
+
+async function drawCommand(argv) {
+  const prompt = argv.prompt || (argv.words || []).join(' ').trim() || await readStdinIfPiped();
+  if (!prompt) {
+    console.error(chalk.red('No prompt provided. Use multi-answers draw "a prompt", -p or pipe text.'));
+    process.exit(1);
+  }
+  if (!Number.isInteger(argv.count) || argv.count < 1 || argv.count > MAX_IMAGES) {
+    console.error(chalk.red(`--count must be a whole number from 1 to ${MAX_IMAGES}`));
+    process.exit(1);
+  }
+  const models = {};
+  for (const provider of imageProviders()) {
+    if (argv[provider.id] && hasProviderKey(provider)) models[provider.id] = '';
+  }
+  for (const pair of argv['image-model'] || []) {
+    const [id, model] = pair.split('=');
+    if (!model || !listProviders().some((p) => p.id === id)) {
+      console.error(chalk.red(`--image-model expects <provider>=<model>, got "${pair}"`));
+      process.exit(1);
+    }
+    models[id] = model;
+  }
+  if (Object.keys(models).length === 0) {
+    console.error(chalk.red('No image-capable provider is configured (OpenAI, Gemini, or a custom endpoint with CUSTOM_OPENAI_IMAGE_MODEL).'));
+    process.exit(1);
+  }
+
+  const results = await drawProviders({ prompt, models, size: argv.size, quality: argv.quality, n: argv.count });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  let saved = 0;
+  for (const [i, p] of listProviders().entries()) {
+    const res = results[p.id];
+    if (!res) continue;
+    const color = PALETTE[i % PALETTE.length];
+    console.log(color.bold(`${p.label} (${res.model}) ${color(`[${res.latencyMs}ms]`)}`));
+    if (res.ok) {
+      const files = await saveImages({ [p.id]: res }, argv.out, stamp);
+      files.forEach((file) => console.log(`Saved ${file}`));
+      saved += files.length;
+    } else {
+      console.log(chalk.red(`Error (${res.errorCategory}, ${res.attempts} attempt${res.attempts === 1 ? '' : 's'}): ${res.error}`));
+    }
+    printDivider();
+  }
+  if (saved === 0) process.exitCode = 1;
+}
+
+function printJudge(verdict, results) {
+  console.log(chalk.green.bold(`Judge (${verdict.model}) ${chalk.green(`[${verdict.latencyMs}ms]`)}`));
+  if (!verdict.ok) {
+    console.log(chalk.red(`Error: ${verdict.error}`));
+    printDivider();
+    return;
+  }
+  for (const { id, model, rank } of verdict.ranking) {
+    const label = results[id] ? `${listProviders().find((p) => p.id === id)?.label || id} (${model})` : model;
+    console.log(`${chalk.bold(`${rank}.`)} ${label}`);
+    if (verdict.critiques[id]) console.log(chalk.gray(`   ${verdict.critiques[id]}`));
+  }
+  if (verdict.parseError) console.log(chalk.yellow(verdict.parseError));
+  if (verdict.synthesis) {
+    console.log(chalk.bold('\nSynthesis:'));
+    console.log(verdict.synthesis.trim());
+  }
+  const usage = formatUsage(verdict.usage, verdict.costUsd);
+  if (usage) console.log(chalk.gray(`Tokens: ${usage}`));
+  printDivider();
 }
 
 main().catch((err) => {
@@ -0,0 +1,151 @@
+import { providerForModel, hasProviderKey, missingKeyMessage, nowMs } from './providers.js';
+import { loadJudgeSettings, loadRetryPolicy } from './config.js';
+import { runWithRetries } from './retry.js';
+import { costUsd } from './pricing.js';
+
+// Judge/consensus step: one model ranks, critiques and synthesizes the parallel answers.
+// Criteria and defaults live in config/judge.json; the JSON reply format is fixed here so it can be parsed.
+const FALLBACK = {
+  model: 'gpt-4o-mini',
+  system: 'You are an impartial expert judge comparing answers from different AI models to the same question.',
+  instructions: 'Judge the answers on correctness, completeness and clarity, then write the best possible answer.',
+  temperature: 0,
+  maxTokens: 2048,
+  timeoutMs: 60000,
+};
+
+const REPLY_FORMAT = `Reply with only a JSON object, no prose around it, in this shape:
+{
+  "ranking": ["<label of best answer>", "<label of next>", ...],
+  "critiques": { "<label>": "<one or two sentences on strengths and weaknesses>", ... },
+  "synthesis": "<the best combined answer, in Markdown>"
+}`;
+
+export function loadJudgeConfig() {
+  return { ...FALLBACK, ...loadJudgeSettings() };
+}
+
+// Answers are shown to the judge under neutral labels (A, B, C, ...) to avoid brand bias
+function labelFor(index) {
+  return String.fromCharCode(65 + index);
+}
+
+function buildJudgePrompt(prompt, answers, instructions) {
+  const blocks = answers.map((a, i) => `### Answer ${labelFor(i)}\n${a.text}`).join('\n\n');
+  return `${instructions}\n\n## Question\n${prompt}\n\n## Answers\n${blocks}\n\n${REPLY_FORMAT}`;
+}
+
+// Lenient JSON extraction: models often wrap the object in a code fence or add a sentence
+function parseVerdict(raw) {
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(raw.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+// answers: [{ id, model, text }] (failed answers should be left out by the caller)
+// Resolves to { ok, model, ranking: [{ id, model, rank }], critiques: { id: text }, synthesis, raw, usage, costUsd, latencyMs, error? }
+export async function judgeAnswers({ prompt, answers, model, signal }) {
+  const cfg = loadJudgeConfig();
+  const judgeModel = model || cfg.model;
+  const startedAt = nowMs();
+  const fail = (error, extra = {}) => ({ ok: false, model: judgeModel, error, latencyMs: nowMs() - startedAt, ...extra });
+
+  const usable = (answers || []).filter((a) => typeof a?.text === 'string' && a.text.trim());
+  if (usable.length === 0) return fail('No answers to judge');
+  const provider = providerForModel(judgeModel);
+  if (!provider) return fail(`Unknown provider for judge model ${judgeModel}`);
+  if (!hasProviderKey(provider)) return fail(missingKeyMessage(provider), { errorCategory: 'auth' });
+
+  const r = await runWithRetries(`Judge (${provider.label})`, (attemptSignal) => provider.ask({
+    prompt: buildJudgePrompt(prompt, usable, cfg.instructions),
+    system: cfg.system,
+    model: judgeModel,
+    temperature: cfg.temperature,
+    maxTokens: cfg.maxTokens,
+    signal: attemptSignal,
+  }), { timeoutMs: cfg.timeoutMs, policy: loadRetryPolicy(provider.id), signal });
+  if (!r.ok) return fail(String(r.error?.message || r.error), { errorCategory: r.errorCategory, attempts: r.attempts });
+
+  const raw = r.value.text || '';
+  const usage = r.value.usage;
+  const cost = costUsd(judgeModel, usage);
+  const verdict = parseVerdict(raw);
+  const byLabel = Object.fromEntries(usable.map((a, i) => [labelFor(i), a]));
+  if (!verdict) {
+    // Keep the judge's text so the reader still gets something useful
+    return { ok: true, model: judgeModel, ranking: [], critiques: {}, synthesis: raw, raw, parseError: 'Judge reply was not valid JSON', usage, costUsd: cost, attempts: r.attempts, latencyMs: nowMs() - startedAt };
+  }
+  const ranking = (Array.isArray(verdict.ranking) ? verdict.ranking : [])
+    .map((label) => byLabel[String(label).replace(/^Answer\s+/i, '').trim()])
+    .filter(Boolean)
+    .map((a, i) => ({ id: a.id, model: a.model, rank: i + 1 }));
+  const critiques = {};
+  for (const [label, text] of Object.entries(verdict.critiques || {})) {
+    const answer = byLabel[label.replace(/^Answer\s+/i, '').trim()];
+    if (answer) critiques[answer.id] = String(text);
+  }
+  return {
+    ok: true,
+    model: judgeModel,
+    ranking,
+    critiques,
+    synthesis: typeof verdict.synthesis === 'string' ? verdict.synthesis : '',
+    raw,
+    usage,
+    costUsd: cost,
+    attempts: r.attempts,
+    latencyMs: nowMs() - startedAt,
+  };
+}
+
+const GRADE_SYSTEM = 'You are a strict grader. You check one answer against a rubric and do not reward answers that only partly meet it.';
+
+const GRADE_FORMAT = `Reply with only a JSON object, no prose around it, in this shape:
+{ "pass": true or false, "score": <0 to 1, how fully the rubric is met>, "reason": "<one sentence>" }`;
+
+// Grade one answer against a rubric (the eval harness's "rubric" check), using the judge model and settings
+// from config/judge.json unless `model` is given.
+// Resolves to { ok, model, pass?, score?, reason?, usage?, costUsd?, latencyMs, error? }
+export async function gradeAnswer({ prompt, answer, rubric, model, signal }) {
+  const cfg = loadJudgeConfig();
+  const gradeModel = model || cfg.model;
+  const startedAt = nowMs();
+  const fail = (error, extra = {}) => ({ ok: false, model: gradeModel, error, latencyMs: nowMs() - startedAt, ...extra });
+
+  const provider = providerForModel(gradeModel);
+  if (!provider) return fail(`Unknown provider for grader model ${gradeModel}`);
+  if (!hasProviderKey(provider)) return fail(missingKeyMessage(provider), { errorCategory: 'auth' });
+
+  const r = await runWithRetries(`Grader (${provider.label})`, (attemptSignal) => provider.ask({
+    prompt: `## Question\n${prompt}\n\n## Answer\n${answer}\n\n## Rubric\n${rubric}\n\n${GRADE_FORMAT}`,
+    system: GRADE_SYSTEM,
+    model: gradeModel,
+    temperature: cfg.temperature,
+    maxTokens: cfg.maxTokens,
+    signal: attemptSignal,
+  }), { timeoutMs: cfg.timeoutMs, policy: loadRetryPolicy(provider.id), signal });
+  if (!r.ok) return fail(String(r.error?.message || r.error), { errorCategory: r.errorCategory });
+
+  const usage = r.value.usage;
+  const cost = costUsd(gradeModel, usage);
+  const grade = parseVerdict(r.value.text || '');
+  if (!grade || typeof grade.pass !== 'boolean') {
+    return fail('Grader reply was not a JSON object with "pass"', { usage, costUsd: cost });
+  }
+  const score = Number(grade.score);
+  return {
+    ok: true,
+    model: gradeModel,
+    pass: grade.pass,
+    score: Number.isFinite(score) ? Math.min(1, Math.max(0, score)) : (grade.pass ? 1 : 0),
+    reason: typeof grade.reason === 'string' ? grade.reason : '',
+    usage,
+    costUsd: cost,
+    latencyMs: nowMs() - startedAt,
+  };
+}
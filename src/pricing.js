@@ -0,0 +1,53 @@
+import { readJsonSafe } from './config.js';
+
+// Token prices from config/pricing.json, in USD per 1M tokens: { models: { "<model id or prefix>": { input, output } } }.
+// A model without an exact entry uses the longest matching prefix, so dated snapshots
+// such as "gpt-4o-mini-2024-07-18" or "claude-3-5-sonnet-latest" share their family's price.
+export function loadPricing() {
+  const file = readJsonSafe('pricing.json');
+  return file && typeof file.models === 'object' ? file.models : {};
+}
+
+export function priceFor(model, pricing = loadPricing()) {
+  if (!model) return null;
+  if (pricing[model]) return pricing[model];
+  let best = null;
+  for (const key of Object.keys(pricing)) {
+    if (model.startsWith(key) && (!best || key.length > best.length)) best = key;
+  }
+  return best ? pricing[best] : null;
+}
+
+// Cost of one call in USD, or null when the model has no price or the provider reported no usage
+export function costUsd(model, usage, pricing = loadPricing()) {
+  const price = priceFor(model, pricing);
+  if (!price || !usage) return null;
+  const cost = ((usage.inputTokens || 0) * (price.input || 0) + (usage.outputTokens || 0) * (price.output || 0)) / 1e6;
+  return Math.round(cost * 1e10) / 1e10;
+}
+
+// Sum usage and cost over results or thread entries; costUsd stays null only if nothing was priced
+export function sumUsage(items) {
+  const total = { inputTokens: 0, outputTokens: 0, reasoningTokens: 0, costUsd: null };
+  for (const item of items) {
+    if (!item?.usage) continue;
+    total.inputTokens += item.usage.inputTokens || 0;
+    total.outputTokens += item.usage.outputTokens || 0;
+    total.reasoningTokens += item.usage.reasoningTokens || 0;
+    if (Number.isFinite(item.costUsd)) total.costUsd = Math.round(((total.costUsd || 0) + item.costUsd) * 1e10) / 1e10;
+  }
+  return total;
+}
+
+export function formatCost(cost) {
+  if (!Number.isFinite(cost)) return '';
+  return cost >= 0.01 ? `$${cost.toFixed(2)}` : `$${cost.toFixed(6)}`;
+}
+
+// "120 in · 340 out (200 reasoning) · $0.001200", or '' without usage
+export function formatUsage(usage, cost) {
+  if (!usage) return '';
+  const parts = [`${usage.inputTokens} in`, `${usage.outputTokens} out${usage.reasoningTokens ? ` (${usage.reasoningTokens} reasoning)` : ''}`];
+  if (Number.isFinite(cost)) parts.push(formatCost(cost));
+  return parts.join(' · ');
+}
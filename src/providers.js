@@ -1,163 +1,203 @@
-import OpenAI from 'openai';
-import Anthropic from '@anthropic-ai/sdk';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import openai, { askOpenAI, drawOpenAI } from './providers/openai.js';
+import claude, { askClaude } from './providers/claude.js';
+import gemini, { askGemini } from './providers/gemini.js';
+import custom, { askCustom } from './providers/custom.js';
+import mock, { askMock } from './providers/mock.js';
+import { describeTools, resolveTools, runToolCall } from './tools.js';
+import { DEFAULTS } from './defaults.js';
+import { registerProvider } from './registry.js';
+import { fitHistory } from './context.js';
+import { readCached, writeCached } from './cache.js';
 
-export const DEFAULTS = {
-  // Flagship defaults
-  openaiModel: 'gpt-5-mini-2025-08-07',
-  claudeModel: 'claude-3-5-sonnet-latest',
-  geminiModel: 'gemini-1.5-flash',
-  temperature: 0.2,
-  maxTokens: 1024,
-  timeoutMs: 30000,
-};
+export { askOpenAI, drawOpenAI, askClaude, askGemini, askCustom, askMock, DEFAULTS };
+export {
+  registerProvider, getProvider, listProviders, providerApiKey, hasProviderKey, missingKeyMessage, providerForModel, describeProviders,
+} from './registry.js';
 
-export function withTimeout(promise, timeoutMs, label) {
-  return new Promise((resolve) => {
-    const timer = setTimeout(() => {
-      resolve({ ok: false, error: new Error(`${label} timed out after ${timeoutMs}ms`) });
-    }, timeoutMs);
-    promise
-      .then((value) => {
-        clearTimeout(timer);
-        resolve({ ok: true, value });
-      })
-      .catch((error) => {
-        clearTimeout(timer);
-        resolve({ ok: false, error });
-      });
-  });
-}
+// The built-in adapters (the descriptor format is described in src/registry.js)
+registerProvider(openai);
+registerProvider(claude);
+registerProvider(gemini);
+registerProvider(custom);
+registerProvider(mock);
 
-export function nowMs() {
-  return Date.now();
+export function abortError(message) {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
 }
 
-export async function drawOpenAI({ prompt, size = '1024x1024' }) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) throw new Error('Missing OPENAI_API_KEY');
-  const client = new OpenAI({ apiKey });
-  const response = await client.images.generate({
-    model: 'gpt-image-1',
-    prompt,
-    size
-  });
-  const b64 = response.data?.[0]?.b64_json;
-  if (!b64) throw new Error('No image generated');
-  return `data:image/png;base64,${b64}`;
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
 }
 
-export async function askOpenAI({ prompt, system, model, temperature, maxTokens, maxCompletionTokens, history, useModelConfig = false }) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) throw new Error('Missing OPENAI_API_KEY');
-  const client = new OpenAI({ apiKey });
-  
-  // Use model-specific config if requested and available
-  if (useModelConfig) {
-    const { loadModelSpecificConfig } = await import('./config.js');
-    const modelConfig = loadModelSpecificConfig(model);
-    system = system || modelConfig.system;
-    temperature = temperature !== undefined ? temperature : modelConfig.temperature;
-    maxTokens = maxTokens !== undefined ? maxTokens : modelConfig.maxTokens;
-    maxCompletionTokens = maxCompletionTokens !== undefined ? maxCompletionTokens : modelConfig.maxTokens;
-  }
-
-  const messages = [];
-  if (system) messages.push({ role: 'system', content: system });
-  if (Array.isArray(history)) {
-    for (const m of history) {
-      const role = m?.role === 'assistant' ? 'assistant' : m?.role === 'system' ? 'system' : 'user';
-      const content = typeof m?.content === 'string' ? m.content : '';
-      if (content) messages.push({ role, content });
+// Resolves to { ok, value } or { ok: false, error }; never rejects.
+// `task` may be a promise or a function receiving an AbortSignal. The signal is aborted when the
+// timeout fires or the caller's `signal` aborts, so the SDK request is cancelled rather than left running.
+export function withTimeout(task, timeoutMs, label, { signal } = {}) {
+  const controller = new AbortController();
+  return new Promise((resolve) => {
+    let settled = false;
+    let timer = null;
+    function finish(result) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      resolve(result);
     }
-  }
-  messages.push({ role: 'user', content: prompt });
-
-  const isGpt5 = /gpt-5/i.test(model) || /-2025-/.test(model);
-  const payload = {
-    model,
-    messages,
-  };
-  // Only include temperature when the model supports tuning it. Some newer models
-  // only allow the default (1) and reject custom values.
-  if (!isGpt5 && typeof temperature === 'number') {
-    payload.temperature = temperature;
-  }
-  if (isGpt5) {
-    // Newer models expect max_completion_tokens
-    if (typeof (maxCompletionTokens ?? maxTokens) === 'number') {
-      payload.max_completion_tokens = maxCompletionTokens ?? maxTokens;
+    function onAbort() {
+      const error = abortError(`${label} cancelled`);
+      controller.abort(error);
+      finish({ ok: false, error });
     }
-  } else {
-    if (typeof (maxTokens ?? maxCompletionTokens) === 'number') {
-      payload.max_tokens = maxTokens ?? maxCompletionTokens;
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (Number.isFinite(timeoutMs)) {
+      timer = setTimeout(() => {
+        const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+        error.name = 'TimeoutError';
+        controller.abort(error);
+        finish({ ok: false, error });
+      }, timeoutMs);
     }
-  }
+    let promise;
+    try {
+      promise = typeof task === 'function' ? task(controller.signal) : task;
+    } catch (error) {
+      return finish({ ok: false, error });
+    }
+    Promise.resolve(promise).then(
+      (value) => finish({ ok: true, value }),
+      (error) => finish({ ok: false, error })
+    );
+  });
+}
 
-  const completion = await client.chat.completions.create(payload);
-  const choice = completion.choices?.[0]?.message;
-  const content = Array.isArray(choice?.content)
-    ? choice.content.map((c) => (typeof c === 'string' ? c : c?.text || '')).join('')
-    : (choice?.content ?? '');
-  return content;
+function toolsUnsupported(provider, message = `${provider.label} does not support tool calling`) {
+  const error = new Error(message);
+  error.name = 'UnsupportedToolsError';
+  return error;
 }
 
-export async function askClaude({ prompt, system, model, temperature, maxTokens, history }) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) throw new Error('Missing ANTHROPIC_API_KEY');
-  const anthropic = new Anthropic({ apiKey });
+function addUsage(total, usage) {
+  if (!usage) return total;
+  return {
+    inputTokens: (total?.inputTokens || 0) + (usage.inputTokens || 0),
+    outputTokens: (total?.outputTokens || 0) + (usage.outputTokens || 0),
+    reasoningTokens: (total?.reasoningTokens || 0) + (usage.reasoningTokens || 0),
+  };
+}
 
-  const messages = [];
-  if (Array.isArray(history)) {
-    for (const m of history) {
-      const role = m?.role === 'assistant' ? 'assistant' : 'user';
-      const content = typeof m?.content === 'string' ? m.content : '';
-      if (content) messages.push({ role, content });
+// Answer `options.prompt` with local tools (`options.tools` is a list of tool names from src/tools.js):
+// ask the model, run the calls it makes, send the results back, and repeat until it answers without
+// calling a tool. Yields { tool } for every call as it finishes (a trace entry from runToolCall plus
+// its `round`), then the answer text, then { usage } summed over every round.
+export async function* askWithTools(provider, { tools, maxToolRounds = DEFAULTS.maxToolRounds, ...options }) {
+  if (!provider.capabilities?.tools) throw toolsUnsupported(provider);
+  // Claude's structured output is itself a forced tool call, so the two cannot share a request
+  if (options.schema) throw toolsUnsupported(provider, 'Tools cannot be combined with a structured output schema');
+  const available = resolveTools(tools);
+  const definitions = describeTools(available);
+  const toolSteps = [];
+  let usage;
+  for (let round = 1; ; round++) {
+    const answer = await provider.ask({ ...options, tools: definitions, toolSteps });
+    usage = addUsage(usage, answer.usage);
+    if (!answer.toolCalls?.length) {
+      if (answer.text) yield answer.text;
+      if (usage) yield { usage };
+      return;
+    }
+    if (round > maxToolRounds) throw new Error(`${provider.label} was still calling tools after ${maxToolRounds} rounds`);
+    const results = [];
+    for (const call of answer.toolCalls) {
+      const entry = await runToolCall(call, { tools: available, signal: options.signal });
+      results.push(entry);
+      yield { tool: { round, ...entry } };
     }
+    toolSteps.push({ turn: answer.turn, results });
   }
-  messages.push({ role: 'user', content: prompt });
+}
 
-  const response = await anthropic.messages.create({
-    model,
-    system: system || undefined,
-    max_tokens: maxTokens,
-    temperature,
-    messages,
-  });
-  const text = (response.content || [])
-    .map((b) => (b.type === 'text' ? b.text : ''))
-    .join('');
-  return text;
+// Yields text deltas (strings) and a final { usage } for any provider;
+// adapters without a stream function yield their whole answer once.
+// With `options.tools` the answer comes from askWithTools (and is not streamed), preceded by its { tool } events.
+// A history too long for the model's context window is fitted first per `options.context` (src/context.js),
+// and a { historyTrim } event comes before anything else when it was.
+// An answer from the response cache (src/cache.js) is replayed after a { cached: true } event. The cache is
+// keyed on the history as given, so a hit needs no fitting (and no summary call).
+export async function* streamProvider(provider, fullOptions) {
+  const hit = readCached(provider, fullOptions);
+  if (hit) {
+    if (hit.historyTrim) yield { historyTrim: hit.historyTrim };
+    yield { cached: true };
+    for (const tool of hit.tools || []) yield { tool };
+    if (hit.text) yield hit.text;
+    if (hit.usage) yield { usage: hit.usage };
+    return;
+  }
+  const { historyTrim, ...options } = await withFittedHistory(provider, fullOptions);
+  if (historyTrim) yield { historyTrim };
+  let text = '';
+  let usage;
+  const trace = [];
+  for await (const part of answerParts(provider, options)) {
+    if (typeof part === 'string') text += part;
+    else if (part?.tool) trace.push(part.tool);
+    else if (part?.usage) usage = part.usage;
+    yield part;
+  }
+  // Only an answer that streamed to the end is cached
+  writeCached(provider, fullOptions, { text, usage, tools: options.tools?.length ? trace : undefined, historyTrim });
 }
 
-export async function askGemini({ prompt, system, model, temperature, maxTokens, history }) {
-  const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
-  if (!apiKey) throw new Error('Missing GEMINI_API_KEY or GOOGLE_API_KEY');
-  const genAI = new GoogleGenerativeAI(apiKey);
-  const geminiModel = genAI.getGenerativeModel({
-    model,
-    ...(system ? { systemInstruction: system } : {}),
-  });
-  const generationConfig = {
-    temperature,
-    maxOutputTokens: maxTokens,
-  };
-  const contents = [];
-  if (Array.isArray(history)) {
-    for (const m of history) {
-      const role = m?.role === 'assistant' ? 'model' : 'user';
-      const text = typeof m?.content === 'string' ? m.content : '';
-      if (text) contents.push({ role, parts: [{ text }] });
-    }
+async function* answerParts(provider, options) {
+  if (options.tools?.length) {
+    yield* askWithTools(provider, options);
+    return;
   }
-  contents.push({ role: 'user', parts: [{ text: prompt }] });
+  if (typeof provider.stream === 'function') {
+    yield* provider.stream(options);
+    return;
+  }
+  const { text, usage } = await provider.ask(options);
+  if (text) yield text;
+  if (usage) yield { usage };
+}
 
-  const result = await geminiModel.generateContent({
-    contents,
-    generationConfig,
-  });
-  const text = (await result.response).text();
-  return text;
+// The non-streaming counterpart: resolves to { text, usage? } like `ask`, plus `tools` (the trace of
+// every tool call) when `options.tools` is given, `historyTrim` when the history was fitted and
+// `cached: true` when the answer came from the response cache
+export async function askProvider(provider, fullOptions) {
+  const hit = readCached(provider, fullOptions);
+  if (hit) return { ...hit, cached: true };
+  const { historyTrim, ...options } = await withFittedHistory(provider, fullOptions);
+  const trimmed = historyTrim ? { historyTrim } : {};
+  if (!options.tools?.length) {
+    const answer = await provider.ask(options);
+    writeCached(provider, fullOptions, { ...answer, historyTrim });
+    return { ...answer, ...trimmed };
+  }
+  let text = '';
+  let usage;
+  const trace = [];
+  for await (const part of askWithTools(provider, options)) {
+    if (typeof part === 'string') text += part;
+    else if (part.tool) trace.push(part.tool);
+    else usage = part.usage;
+  }
+  writeCached(provider, fullOptions, { text, usage, tools: trace, historyTrim });
+  return { text, usage, tools: trace, ...trimmed };
 }
 
+// `options` with its history (and, when summarized, its system prompt) fitted to the model, plus historyTrim
+async function withFittedHistory(provider, options) {
+  if (!options.history?.length) return options;
+  const { history, system, historyTrim } = await fitHistory(provider, options);
+  return { ...options, history, system, historyTrim };
+}
 
+export function nowMs() {
+  return Date.now();
+}
@@ -0,0 +1,128 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { modelParams } from '../catalog.js';
+import { prepareAttachments } from '../attachments.js';
+import { schemaName } from '../schema.js';
+
+function claudeClient() {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) throw new Error('Missing ANTHROPIC_API_KEY');
+  // Retries are src/retry.js's job, so the SDK makes one request per attempt
+  return new Anthropic({ apiKey, maxRetries: 0 });
+}
+
+// Images as image blocks, PDFs as document blocks; Anthropic recommends putting them before the question
+function claudeContentBlock(media) {
+  const source = { type: 'base64', media_type: media.mimeType, data: media.data };
+  return media.kind === 'pdf' ? { type: 'document', source } : { type: 'image', source };
+}
+
+// Claude has no JSON mode: structured output is a single tool whose input is the schema, and the
+// request forces the model to call it. The tool input is the answer.
+function structuredOutputTool(schema) {
+  return {
+    name: schemaName(schema),
+    description: schema.description || 'Give your answer by calling this tool with data that matches its input schema.',
+    input_schema: schema,
+  };
+}
+
+function buildClaudeRequest({ prompt, system, model, temperature, maxTokens, history, attachments, tools, toolSteps, schema }) {
+  const messages = [];
+  if (Array.isArray(history)) {
+    for (const m of history) {
+      const role = m?.role === 'assistant' ? 'assistant' : 'user';
+      const content = typeof m?.content === 'string' ? m.content : '';
+      if (content) messages.push({ role, content });
+    }
+  }
+  const { prompt: text, media } = prepareAttachments({ prompt, attachments, model });
+  messages.push({ role: 'user', content: media.length ? [...media.map(claudeContentBlock), { type: 'text', text }] : text });
+  // Earlier tool rounds: the assistant turn with its tool_use blocks, then every result in one user turn
+  for (const step of toolSteps || []) {
+    messages.push(step.turn);
+    messages.push({
+      role: 'user',
+      content: step.results.map((r) => ({ type: 'tool_result', tool_use_id: r.id, content: r.ok ? r.result : r.error, is_error: !r.ok })),
+    });
+  }
+
+  const request = {
+    model,
+    system: system || undefined,
+    max_tokens: maxTokens,
+    temperature: modelParams(model).acceptsTemperature ? temperature : undefined,
+    tools: tools?.length ? tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters })) : undefined,
+    messages,
+  };
+  if (schema) {
+    request.tools = [structuredOutputTool(schema)];
+    request.tool_choice = { type: 'tool', name: schemaName(schema) };
+  }
+  return request;
+}
+
+function claudeUsage(usage) {
+  if (!usage) return undefined;
+  return { inputTokens: usage.input_tokens ?? 0, outputTokens: usage.output_tokens ?? 0, reasoningTokens: 0 };
+}
+
+export async function askClaude(options) {
+  const anthropic = claudeClient();
+  const response = await anthropic.messages.create(buildClaudeRequest(options), { signal: options.signal });
+  const content = response.content || [];
+  if (options.schema) {
+    const output = content.find((b) => b.type === 'tool_use');
+    if (!output) throw new Error('Claude did not return structured output');
+    return { text: JSON.stringify(output.input, null, 2), usage: claudeUsage(response.usage) };
+  }
+  const text = content
+    .map((b) => (b.type === 'text' ? b.text : ''))
+    .join('');
+  const calls = content.filter((b) => b.type === 'tool_use');
+  if (!calls.length) return { text, usage: claudeUsage(response.usage) };
+  return {
+    text,
+    usage: claudeUsage(response.usage),
+    toolCalls: calls.map((b) => ({ id: b.id, name: b.name, arguments: b.input })),
+    turn: { role: 'assistant', content },
+  };
+}
+
+// Yields text deltas from the messages stream, then { usage }.
+// Input tokens arrive with message_start, the output count with the final message_delta.
+// With a schema the deltas are the forced tool's input JSON as it is generated.
+export async function* streamClaude(options) {
+  const anthropic = claudeClient();
+  const stream = anthropic.messages.stream(buildClaudeRequest(options), { signal: options.signal });
+  const usage = {};
+  for await (const event of stream) {
+    if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta' && event.delta.text) {
+      if (!options.schema) yield event.delta.text;
+    } else if (options.schema && event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta' && event.delta.partial_json) {
+      yield event.delta.partial_json;
+    } else if (event.type === 'message_start') {
+      Object.assign(usage, event.message?.usage);
+    } else if (event.type === 'message_delta') {
+      Object.assign(usage, event.usage);
+    }
+  }
+  if (Object.keys(usage).length) yield { usage: claudeUsage(usage) };
+}
+
+export default {
+  id: 'claude',
+  label: 'Claude',
+  envKeys: ['ANTHROPIC_API_KEY'],
+  defaultModel: 'claude-3-5-sonnet-latest',
+  modelPattern: /^claude-/i,
+  capabilities: {
+    streaming: true,
+    images: false,
+    tools: true,
+    historyRoles: ['user', 'assistant'],
+  },
+  // The SDK sends requests to ANTHROPIC_BASE_URL when set
+  get cacheScope() { return process.env.ANTHROPIC_BASE_URL || undefined; },
+  ask: askClaude,
+  stream: streamClaude,
+};
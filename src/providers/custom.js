@@ -0,0 +1,76 @@
+import { readJsonSafe } from '../config.js';
+import { openaiClient, chatCompletion, streamChatCompletion, generateImages } from './openai.js';
+
+// OpenAI-compatible endpoint (Ollama, llama.cpp server, vLLM, LM Studio, ...).
+// Settings come from config/custom.json and can be overridden by env:
+//   CUSTOM_OPENAI_BASE_URL, CUSTOM_OPENAI_API_KEY, CUSTOM_OPENAI_MODELS (comma-separated), CUSTOM_OPENAI_LABEL,
+//   CUSTOM_OPENAI_IMAGE_MODEL (a model served at /v1/images/generations, e.g. by LocalAI; enables drawing)
+export function customSettings() {
+  const file = readJsonSafe('custom.json') || {};
+  const envModels = (process.env.CUSTOM_OPENAI_MODELS || '')
+    .split(',')
+    .map((m) => m.trim())
+    .filter(Boolean);
+  return {
+    baseURL: process.env.CUSTOM_OPENAI_BASE_URL || file.baseURL || '',
+    apiKey: process.env.CUSTOM_OPENAI_API_KEY || file.apiKey || '',
+    label: process.env.CUSTOM_OPENAI_LABEL || file.label || 'Custom',
+    models: envModels.length ? envModels : (Array.isArray(file.models) ? file.models.filter((m) => typeof m === 'string') : []),
+    imageModel: process.env.CUSTOM_OPENAI_IMAGE_MODEL || file.imageModel || '',
+  };
+}
+
+const MISSING_BASE_URL = 'Missing CUSTOM_OPENAI_BASE_URL (or baseURL in config/custom.json)';
+
+function customClient() {
+  const { baseURL, apiKey } = customSettings();
+  if (!baseURL) throw new Error(MISSING_BASE_URL);
+  // Local servers usually ignore the key, but the SDK refuses to start without one
+  return openaiClient(apiKey || 'not-needed', { baseURL });
+}
+
+export async function askCustom(options) {
+  return chatCompletion(customClient(), options);
+}
+
+export async function* streamCustom(options) {
+  yield* streamChatCompletion(customClient(), options);
+}
+
+export async function drawCustom(options) {
+  return generateImages(customClient(), options);
+}
+
+export default {
+  id: 'custom',
+  get label() { return customSettings().label; },
+  envKeys: ['CUSTOM_OPENAI_BASE_URL'],
+  get defaultModel() { return customSettings().models[0]; },
+  // Explicit model ids served by the endpoint; matched before any other provider's pattern
+  get models() { return customSettings().models; },
+  // Drawing is only offered when an image model is configured
+  get imageModel() { return customSettings().imageModel || undefined; },
+  modelPattern: null,
+  capabilities: {
+    streaming: true,
+    get images() { return Boolean(customSettings().imageModel); },
+    // Sent as OpenAI tools; the served model has to support function calling (e.g. llama3.1, qwen2.5)
+    tools: true,
+    historyRoles: ['system', 'user', 'assistant'],
+  },
+  // Extra keys allowed in config/custom.json (see src/config.js)
+  configSchema: {
+    label: { type: 'string' },
+    baseURL: { type: 'string' },
+    apiKey: { type: 'string' },
+    models: { type: 'string[]' },
+    imageModel: { type: 'string' },
+  },
+  isConfigured: () => Boolean(customSettings().baseURL),
+  // Another server answers differently, so cached answers are kept per endpoint
+  get cacheScope() { return customSettings().baseURL; },
+  missingMessage: MISSING_BASE_URL,
+  ask: askCustom,
+  stream: streamCustom,
+  draw: drawCustom,
+};
@@ -0,0 +1,154 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { modelParams } from '../catalog.js';
+import { prepareAttachments } from '../attachments.js';
+
+// Gemini takes an OpenAPI-style subset of JSON Schema: unsupported keywords are dropped and
+// type lists like ["string", "null"] become a type plus nullable
+const GEMINI_SCHEMA_KEYS = new Set(['type', 'format', 'title', 'description', 'nullable', 'enum', 'properties', 'required', 'items', 'minItems', 'maxItems', 'minimum', 'maximum', 'anyOf', 'propertyOrdering']);
+
+function geminiSchema(node) {
+  if (!node || typeof node !== 'object') return node;
+  const out = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (!GEMINI_SCHEMA_KEYS.has(key)) continue;
+    if (key === 'properties') {
+      out.properties = Object.fromEntries(Object.entries(value).map(([name, child]) => [name, geminiSchema(child)]));
+    } else if (key === 'items') {
+      out.items = geminiSchema(value);
+    } else if (key === 'anyOf') {
+      out.anyOf = value.map(geminiSchema);
+    } else if (key === 'type' && Array.isArray(value)) {
+      const types = value.filter((t) => t !== 'null');
+      out.type = types[0];
+      if (types.length < value.length) out.nullable = true;
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+function buildGeminiRequest({ prompt, system, model, temperature, maxTokens, history, attachments, tools, toolSteps, schema }) {
+  const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
+  if (!apiKey) throw new Error('Missing GEMINI_API_KEY or GOOGLE_API_KEY');
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const geminiModel = genAI.getGenerativeModel({
+    model,
+    ...(system ? { systemInstruction: system } : {}),
+  });
+  const generationConfig = {
+    temperature: modelParams(model).acceptsTemperature ? temperature : undefined,
+    maxOutputTokens: maxTokens,
+    ...(schema ? { responseMimeType: 'application/json', responseSchema: geminiSchema(schema) } : {}),
+  };
+  const contents = [];
+  if (Array.isArray(history)) {
+    for (const m of history) {
+      const role = m?.role === 'assistant' ? 'model' : 'user';
+      const text = typeof m?.content === 'string' ? m.content : '';
+      if (text) contents.push({ role, parts: [{ text }] });
+    }
+  }
+  // Images and PDFs both travel as inline data parts
+  const { prompt: text, media } = prepareAttachments({ prompt, attachments, model });
+  contents.push({ role: 'user', parts: [{ text }, ...media.map((m) => ({ inlineData: { mimeType: m.mimeType, data: m.data } }))] });
+  // Earlier tool rounds: the model turn with its functionCall parts (kept whole, thought signatures
+  // included), then the results as functionResponse parts
+  for (const step of toolSteps || []) {
+    contents.push(step.turn);
+    contents.push({
+      role: 'function',
+      parts: step.results.map((r) => ({ functionResponse: { name: r.name, response: r.ok ? { result: r.result } : { error: r.error } } })),
+    });
+  }
+
+  const request = { contents, generationConfig };
+  if (tools?.length) {
+    request.tools = [{ functionDeclarations: tools.map(({ name, description, parameters }) => ({ name, description, parameters: geminiSchema(parameters) })) }];
+  }
+  return { geminiModel, request };
+}
+
+// Thinking tokens are billed as output but reported separately, so fold them into outputTokens
+function geminiUsage(meta) {
+  if (!meta) return undefined;
+  const reasoningTokens = meta.thoughtsTokenCount ?? 0;
+  return {
+    inputTokens: meta.promptTokenCount ?? 0,
+    outputTokens: (meta.candidatesTokenCount ?? 0) + reasoningTokens,
+    reasoningTokens,
+  };
+}
+
+export async function askGemini(options) {
+  const { geminiModel, request } = buildGeminiRequest(options);
+  const result = await geminiModel.generateContent(request, { signal: options.signal });
+  const response = await result.response;
+  const calls = response.functionCalls() || [];
+  if (!calls.length) return { text: response.text(), usage: geminiUsage(response.usageMetadata) };
+  // Older models send calls without ids; results are matched by name and order
+  const round = options.toolSteps?.length || 0;
+  return {
+    text: response.text(),
+    usage: geminiUsage(response.usageMetadata),
+    toolCalls: calls.map((c, index) => ({ id: c.id || `${c.name}-${round + 1}-${index + 1}`, name: c.name, arguments: c.args || {} })),
+    turn: response.candidates[0].content,
+  };
+}
+
+// Yields text deltas from generateContentStream, then { usage } (each chunk carries running totals)
+export async function* streamGemini(options) {
+  const { geminiModel, request } = buildGeminiRequest(options);
+  const result = await geminiModel.generateContentStream(request, { signal: options.signal });
+  let usage;
+  for await (const chunk of result.stream) {
+    const delta = chunk.text();
+    if (delta) yield delta;
+    if (chunk.usageMetadata) usage = geminiUsage(chunk.usageMetadata);
+  }
+  if (usage) yield { usage };
+}
+
+// Gemini has no size or quality settings for images; the size picks the closest aspect ratio
+const ASPECT_RATIOS = { '1024x1024': '1:1', '1536x1024': '3:2', '1024x1536': '2:3', '1792x1024': '16:9', '1024x1792': '9:16' };
+
+// Image models answer with inline image parts, one image per request, so `n` images take n requests.
+// Resolves to { images: [dataUrl] }.
+export async function drawGemini({ prompt, model, size, n = 1, signal }) {
+  const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
+  if (!apiKey) throw new Error('Missing GEMINI_API_KEY or GOOGLE_API_KEY');
+  const geminiModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+  const aspectRatio = ASPECT_RATIOS[size];
+  const request = {
+    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    generationConfig: {
+      responseModalities: ['TEXT', 'IMAGE'],
+      ...(aspectRatio ? { imageConfig: { aspectRatio } } : {}),
+    },
+  };
+  const results = await Promise.all(Array.from({ length: n }, () => geminiModel.generateContent(request, { signal })));
+  const images = results
+    .flatMap((r) => r.response.candidates?.[0]?.content?.parts || [])
+    .filter((part) => part.inlineData?.data)
+    .map((part) => `data:${part.inlineData.mimeType || 'image/png'};base64,${part.inlineData.data}`);
+  if (!images.length) throw new Error('No image generated');
+  return { images };
+}
+
+export default {
+  id: 'gemini',
+  label: 'Gemini',
+  envKeys: ['GEMINI_API_KEY', 'GOOGLE_API_KEY'],
+  defaultModel: 'gemini-1.5-flash',
+  imageModel: 'gemini-2.5-flash-image',
+  modelPattern: /^gemini-/i,
+  capabilities: {
+    streaming: true,
+    images: true,
+    tools: true,
+    historyRoles: ['user', 'model'],
+  },
+  ask: askGemini,
+  stream: streamGemini,
+  draw: drawGemini,
+};
@@ -0,0 +1,182 @@
+import fs from 'fs';
+import { estimateTokens } from '../context.js';
+
+// Deterministic offline provider for tests, CI and demos. Enabled with MOCK_PROVIDER=1 (built-in models)
+// or MOCK_PROVIDER=<script.json>; MOCK_LATENCY_MS overrides the script's latency. Built-in models:
+//   mock-echo     answers "Echo: <prompt>" and says how many earlier messages it was sent
+//   mock-flaky    fails with a 503 the first time it sees a prompt, so the retry succeeds
+//   mock-error    always fails with a 400, which is not retried
+//   mock-timeout  never answers; the request times out or is cancelled
+// A script adds models and rules, tried in order before the built-in behaviour:
+//   { "latencyMs"?, "chunkDelayMs"?, "models"?: ["mock-support"], "rules": [{ "model"?, "match"?, "times"?, "latencyMs"?,
+//     "text"? | "json"? | "error"?: { status, message, retryAfterMs? } | "hang"?: true, "toolCalls"?: [{ name, arguments }] }] }
+// `match` is a substring of the prompt or "/regex/flags"; `times` is how many calls a rule answers before it is skipped;
+// `text` may use {{prompt}} and {{model}}. With toolCalls the first round calls the tools and the next one answers.
+
+const BUILTIN_MODELS = ['mock-echo', 'mock-flaky', 'mock-error', 'mock-timeout'];
+const MISSING = 'Set MOCK_PROVIDER=1 (or MOCK_PROVIDER=<script.json>) to enable the mock provider';
+
+// Calls answered per rule ("<script>#<index>"; the script is re-read on every call so edits apply) and
+// prompts mock-flaky has seen, for the life of the process
+const ruleCalls = new Map();
+const flakySeen = new Set();
+
+function readScript() {
+  const setting = process.env.MOCK_PROVIDER;
+  if (!setting || setting === '1' || setting === 'true') return {};
+  try {
+    return JSON.parse(fs.readFileSync(setting, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read mock script ${setting}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+  }
+}
+
+function scriptLatency(script, rule) {
+  const env = Number(process.env.MOCK_LATENCY_MS);
+  if (process.env.MOCK_LATENCY_MS && Number.isFinite(env)) return env;
+  return rule?.latencyMs ?? script.latencyMs ?? 0;
+}
+
+// Resolves after `ms`, or rejects with the abort reason (e.g. withTimeout's TimeoutError) once `signal` aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const abort = () => {
+      clearTimeout(timer);
+      const error = signal.reason instanceof Error ? signal.reason : new Error('Mock request cancelled');
+      if (!(signal.reason instanceof Error)) error.name = 'AbortError';
+      reject(error);
+    };
+    if (signal?.aborted) return abort();
+    if (Number.isFinite(ms)) {
+      timer = setTimeout(() => {
+        signal?.removeEventListener('abort', abort);
+        resolve();
+      }, ms);
+    }
+    signal?.addEventListener('abort', abort, { once: true });
+  });
+}
+
+function mockError({ status = 500, message = `Mock error ${status}`, retryAfterMs } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  if (retryAfterMs !== undefined) error.headers = { 'retry-after-ms': String(retryAfterMs) };
+  return error;
+}
+
+function ruleKey(index) {
+  return `${process.env.MOCK_PROVIDER}#${index}`;
+}
+
+function matches(rule, index, model, prompt) {
+  if (rule.model && rule.model !== model) return false;
+  if (rule.times !== undefined && (ruleCalls.get(ruleKey(index)) || 0) >= rule.times) return false;
+  if (typeof rule.match !== 'string') return true;
+  const regex = rule.match.match(/^\/(.*)\/([a-z]*)$/s);
+  return regex ? new RegExp(regex[1], regex[2]).test(prompt) : prompt.includes(rule.match);
+}
+
+// A value of the schema's shape with every required property, so structured output works without a script
+function sampleFor(schema) {
+  if (!schema || typeof schema !== 'object') return null;
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum)) return schema.enum[0];
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  if (type === 'object' || schema.properties) {
+    return Object.fromEntries((schema.required || []).map((key) => [key, sampleFor(schema.properties?.[key])]));
+  }
+  if (type === 'array') return [];
+  if (type === 'string') return 'mock';
+  if (type === 'number' || type === 'integer') return 0;
+  if (type === 'boolean') return false;
+  return null;
+}
+
+function echo(prompt, history) {
+  const earlier = (history || []).filter((m) => m?.content).length;
+  return `Echo: ${prompt}${earlier ? ` (${earlier} earlier message${earlier === 1 ? '' : 's'})` : ''}`;
+}
+
+// The whole reply for one call: { text, usage, toolCalls?, turn?, chunkDelayMs }, or throws the scripted error
+async function reply({ prompt = '', system, model, history, toolSteps, schema, signal }) {
+  const script = readScript();
+  const index = (script.rules || []).findIndex((r, i) => matches(r, i, model, prompt));
+  const rule = index === -1 ? undefined : script.rules[index];
+  const chunkDelayMs = script.chunkDelayMs ?? 0;
+  if (rule) ruleCalls.set(ruleKey(index), (ruleCalls.get(ruleKey(index)) || 0) + 1);
+
+  if (rule?.hang || (!rule && model === 'mock-timeout')) await sleep(Infinity, signal);
+  await sleep(scriptLatency(script, rule), signal);
+  if (rule?.error) throw mockError(rule.error);
+  if (!rule && model === 'mock-error') throw mockError({ status: 400, message: 'Mock invalid request' });
+  if (!rule && model === 'mock-flaky') {
+    const key = JSON.stringify([prompt, history?.length || 0]);
+    if (!flakySeen.has(key)) {
+      flakySeen.add(key);
+      throw mockError({ status: 503, message: 'Mock overloaded' });
+    }
+  }
+
+  const inputTokens = estimateTokens([system, prompt, ...(history || []).map((m) => m?.content)].filter(Boolean).join('\n'));
+  if (rule?.toolCalls?.length && !toolSteps?.length) {
+    const toolCalls = rule.toolCalls.map((call, i) => ({ id: `mock-call-${i + 1}`, name: call.name, arguments: call.arguments || {} }));
+    return { text: '', usage: { inputTokens, outputTokens: 0, reasoningTokens: 0 }, toolCalls, turn: { toolCalls }, chunkDelayMs };
+  }
+  let text;
+  if (rule?.json !== undefined) text = JSON.stringify(rule.json);
+  else if (typeof rule?.text === 'string') text = rule.text.replace(/\{\{\s*prompt\s*\}\}/g, prompt).replace(/\{\{\s*model\s*\}\}/g, model);
+  else if (toolSteps?.length) {
+    const results = toolSteps.flatMap((step) => step.results);
+    text = `Tool results: ${results.map((r) => `${r.name} = ${r.ok ? r.result : `error: ${r.error}`}`).join('; ')}`;
+  } else if (schema) text = JSON.stringify(sampleFor(schema));
+  else text = echo(prompt, history);
+  return { text, usage: { inputTokens, outputTokens: estimateTokens(text), reasoningTokens: 0 }, chunkDelayMs };
+}
+
+export async function askMock(options) {
+  const { text, usage, toolCalls, turn } = await reply(options);
+  return toolCalls ? { text, usage, toolCalls, turn } : { text, usage };
+}
+
+// Streams the reply word by word, the script's chunkDelayMs apart
+export async function* streamMock(options) {
+  const { text, usage, chunkDelayMs } = await reply(options);
+  for (const chunk of text.match(/\S+\s*|\s+/g) || []) {
+    if (chunkDelayMs) await sleep(chunkDelayMs, options.signal);
+    yield chunk;
+  }
+  yield { usage };
+}
+
+function readScriptSafe() {
+  try {
+    return readScript();
+  } catch {
+    return {};
+  }
+}
+
+export default {
+  id: 'mock',
+  label: 'Mock',
+  envKeys: ['MOCK_PROVIDER'],
+  defaultModel: 'mock-echo',
+  // Only listed (and offered in the web UI) while enabled
+  get models() {
+    if (!process.env.MOCK_PROVIDER) return [];
+    const extra = readScriptSafe().models;
+    return [...BUILTIN_MODELS, ...(Array.isArray(extra) ? extra.filter((m) => typeof m === 'string') : [])];
+  },
+  modelPattern: /^mock-/,
+  // Answers locally, so record/replay (src/fixtures.js) leaves it alone
+  offline: true,
+  capabilities: {
+    streaming: true,
+    tools: true,
+    historyRoles: ['system', 'user', 'assistant'],
+  },
+  missingMessage: MISSING,
+  ask: askMock,
+  stream: streamMock,
+};
@@ -0,0 +1,185 @@
+import OpenAI from 'openai';
+import { modelParams } from '../catalog.js';
+import { prepareAttachments, dataUrl } from '../attachments.js';
+import { schemaName } from '../schema.js';
+
+// The SDK's own retries are off: src/retry.js retries (and counts attempts) for every provider
+export function openaiClient(apiKey, options = {}) {
+  return new OpenAI({ apiKey, maxRetries: 0, ...options });
+}
+
+export async function drawOpenAI({ prompt, model = 'gpt-image-1', size, quality, n, signal }) {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) throw new Error('Missing OPENAI_API_KEY');
+  const client = openaiClient(apiKey);
+  return generateImages(client, { prompt, model, size, quality, n, signal });
+}
+
+// Shared by every OpenAI-compatible adapter; resolves to { images: [dataUrl] }.
+// gpt-image models always return base64, DALL·E and most local servers need asking for it.
+export async function generateImages(client, { prompt, model, size = '1024x1024', quality, n = 1, signal }) {
+  const request = { model, prompt, size, n };
+  if (quality) request.quality = quality;
+  if (!/^gpt-image/i.test(model)) request.response_format = 'b64_json';
+  const response = await client.images.generate(request, { signal });
+  const images = (response.data || [])
+    .map((d) => (d.b64_json ? `data:image/png;base64,${d.b64_json}` : d.url))
+    .filter(Boolean);
+  if (!images.length) throw new Error('No image generated');
+  return { images };
+}
+
+export async function askOpenAI({ prompt, system, model, temperature, maxTokens, maxCompletionTokens, history, attachments, tools, toolSteps, schema, signal }) {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) throw new Error('Missing OPENAI_API_KEY');
+  const client = openaiClient(apiKey);
+  return chatCompletion(client, { prompt, system, model, temperature, maxTokens, maxCompletionTokens, history, attachments, tools, toolSteps, schema, signal });
+}
+
+// Images as image_url parts, PDFs as file parts, both inline as data URLs
+function chatContentPart(media) {
+  if (media.kind === 'pdf') return { type: 'file', file: { filename: media.name, file_data: dataUrl(media) } };
+  return { type: 'image_url', image_url: { url: dataUrl(media) } };
+}
+
+// Strict mode guarantees the schema is followed but only accepts schemas where every object lists all of
+// its properties as required and sets additionalProperties: false; other schemas are sent non-strict
+function strictCompatible(node) {
+  if (!node || typeof node !== 'object') return true;
+  if (Array.isArray(node)) return node.every(strictCompatible);
+  if (node.type === 'object' || node.properties) {
+    const keys = Object.keys(node.properties || {});
+    if (node.additionalProperties !== false || !keys.every((k) => node.required?.includes(k))) return false;
+  }
+  return Object.entries(node).every(([key, value]) => key === 'enum' || key === 'const' || strictCompatible(value));
+}
+
+// Shared by every OpenAI-compatible adapter: maps history, attachments, tools and the structured
+// output schema and picks the parameter names the model accepts
+export function buildChatPayload({ prompt, system, model, temperature, maxTokens, maxCompletionTokens, history, attachments, tools, toolSteps, schema }) {
+  const messages = [];
+  if (system) messages.push({ role: 'system', content: system });
+  if (Array.isArray(history)) {
+    for (const m of history) {
+      const role = m?.role === 'assistant' ? 'assistant' : m?.role === 'system' ? 'system' : 'user';
+      const content = typeof m?.content === 'string' ? m.content : '';
+      if (content) messages.push({ role, content });
+    }
+  }
+  const { prompt: text, media } = prepareAttachments({ prompt, attachments, model });
+  messages.push({ role: 'user', content: media.length ? [{ type: 'text', text }, ...media.map(chatContentPart)] : text });
+  // Earlier tool rounds: the assistant message that made the calls, then one tool message per result
+  for (const step of toolSteps || []) {
+    messages.push(step.turn);
+    for (const r of step.results) {
+      messages.push({ role: 'tool', tool_call_id: r.id, content: r.ok ? r.result : `Error: ${r.error}` });
+    }
+  }
+
+  const params = modelParams(model);
+  const payload = {
+    model,
+    messages,
+  };
+  if (tools?.length) {
+    payload.tools = tools.map(({ name, description, parameters }) => ({ type: 'function', function: { name, description, parameters } }));
+  }
+  if (schema) {
+    payload.response_format = { type: 'json_schema', json_schema: { name: schemaName(schema), schema, strict: strictCompatible(schema) } };
+  }
+  // Only include temperature when the catalog says the model accepts it. Some newer models
+  // only allow the default (1) and reject custom values.
+  if (params.acceptsTemperature && typeof temperature === 'number') {
+    payload.temperature = temperature;
+  }
+  if (params.maxTokensParam === 'max_completion_tokens') {
+    if (typeof (maxCompletionTokens ?? maxTokens) === 'number') {
+      payload.max_completion_tokens = maxCompletionTokens ?? maxTokens;
+    }
+  } else {
+    if (typeof (maxTokens ?? maxCompletionTokens) === 'number') {
+      payload.max_tokens = maxTokens ?? maxCompletionTokens;
+    }
+  }
+  return payload;
+}
+
+// Normalized token counts; reasoning tokens are already included in completion_tokens
+export function chatUsage(usage) {
+  if (!usage) return undefined;
+  return {
+    inputTokens: usage.prompt_tokens ?? 0,
+    outputTokens: usage.completion_tokens ?? 0,
+    reasoningTokens: usage.completion_tokens_details?.reasoning_tokens ?? 0,
+  };
+}
+
+// `options.signal` aborts the HTTP request, not just our wait for it
+export async function chatCompletion(client, options) {
+  const completion = await client.chat.completions.create(buildChatPayload(options), { signal: options.signal });
+  const choice = completion.choices?.[0]?.message;
+  const content = Array.isArray(choice?.content)
+    ? choice.content.map((c) => (typeof c === 'string' ? c : c?.text || '')).join('')
+    : (choice?.content ?? '');
+  const calls = (choice?.tool_calls || []).filter((c) => c.type === 'function');
+  if (!calls.length) return { text: content, usage: chatUsage(completion.usage) };
+  return {
+    text: content,
+    usage: chatUsage(completion.usage),
+    toolCalls: calls.map((c) => ({ id: c.id, name: c.function.name, arguments: parseToolArguments(c.function.arguments) })),
+    turn: { role: 'assistant', content: choice.content ?? null, tool_calls: calls },
+  };
+}
+
+// Arguments arrive as a JSON string; anything unparseable is passed on as-is and rejected by the tool runner
+function parseToolArguments(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+// Yields text deltas as they arrive, then { usage } from the final chunk
+export async function* streamChatCompletion(client, options) {
+  const stream = await client.chat.completions.create({
+    ...buildChatPayload(options),
+    stream: true,
+    stream_options: { include_usage: true },
+  }, { signal: options.signal });
+  let usage;
+  for await (const part of stream) {
+    const delta = part?.choices?.[0]?.delta?.content ?? '';
+    if (delta) yield delta;
+    if (part?.usage) usage = chatUsage(part.usage);
+  }
+  if (usage) yield { usage };
+}
+
+export async function* streamOpenAI(options) {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) throw new Error('Missing OPENAI_API_KEY');
+  const client = openaiClient(apiKey);
+  yield* streamChatCompletion(client, options);
+}
+
+export default {
+  id: 'openai',
+  label: 'OpenAI',
+  envKeys: ['OPENAI_API_KEY'],
+  defaultModel: 'gpt-5-mini-2025-08-07',
+  imageModel: 'gpt-image-1',
+  modelPattern: /^(gpt-|chatgpt-|o\d|dall-e)/i,
+  capabilities: {
+    streaming: true,
+    images: true,
+    tools: true,
+    historyRoles: ['system', 'user', 'assistant'],
+  },
+  // The SDK sends requests to OPENAI_BASE_URL when set (a proxy or compatible server)
+  get cacheScope() { return process.env.OPENAI_BASE_URL || undefined; },
+  ask: askOpenAI,
+  stream: streamOpenAI,
+  draw: drawOpenAI,
+};
@@ -0,0 +1,92 @@
+import { withFixtures, fixturesMode, fixturesDir, hasFixtures } from './fixtures.js';
+
+// Provider registry. Each adapter module default-exports a descriptor:
+//   { id, label, envKeys, defaultModel, modelPattern, capabilities, ask, stream?, draw?, imageModel?, models?, isConfigured?, missingMessage?, configSchema?, offline?, cacheScope? }
+// Descriptors may use getters for fields read from config at call time.
+// `ask` and `stream` take { prompt, system, model, temperature, maxTokens, history, attachments?, schema?, signal }
+// (attachments as in src/attachments.js, encoded by each adapter in its provider's format; `schema` is a
+// JSON Schema from src/schema.js the answer must follow, sent with the provider's structured output feature).
+// `ask` resolves to { text, usage? } and `stream` yields text deltas then at most one { usage },
+// where usage is { inputTokens, outputTokens, reasoningTokens } (reasoning is part of outputTokens).
+// Adapters with capabilities.tools also take `tools` (definitions from src/tools.js) and `toolSteps`
+// ([{ turn, results }] from earlier rounds) in `ask`, and resolve to { text, usage?, toolCalls?, turn? }
+// when the model calls tools: toolCalls is [{ id, name, arguments }], turn the assistant message in the
+// provider's own format, sent back unchanged with the results (see askWithTools).
+// `draw` takes { prompt, model, size, quality, n, signal } and resolves to { images: [dataUrl] };
+// `imageModel` is the model it uses by default (see src/draw.js).
+// `ask` and `stream` are wrapped for record/replay (src/fixtures.js) unless the adapter is `offline`.
+// `cacheScope` is what besides the request decides the answer, such as the endpoint; it is part of the
+// response cache key (src/cache.js).
+// Server, CLI and UI iterate the registry instead of naming vendors, so a new
+// vendor only needs its own module under ./providers and a registerProvider call (in src/providers.js).
+// This module imports no adapter, so adapters and the modules they use (config, catalog, context) can
+// read the registry without an import cycle through src/providers.js.
+const registry = new Map();
+
+export function registerProvider(adapter) {
+  if (!adapter || typeof adapter.id !== 'string' || typeof adapter.ask !== 'function') {
+    throw new Error('Provider adapter needs an id and an ask function');
+  }
+  // Fill defaults in place so getters on the descriptor stay live (and are not called while
+  // modules are still loading: a getter may read config through src/config.js)
+  if (!('label' in adapter)) adapter.label = adapter.id;
+  if (!Array.isArray(adapter.envKeys)) adapter.envKeys = [];
+  if (!adapter.capabilities) adapter.capabilities = {};
+  registry.set(adapter.id, withFixtures(adapter));
+}
+
+export function getProvider(id) {
+  return registry.get(id) || null;
+}
+
+export function listProviders() {
+  return Array.from(registry.values());
+}
+
+export function providerApiKey(provider) {
+  for (const key of provider?.envKeys || []) {
+    if (process.env[key]) return process.env[key];
+  }
+  return undefined;
+}
+
+export function hasProviderKey(provider) {
+  // Replayed answers need no key, only recorded fixtures
+  if (fixturesMode() === 'replay' && !provider?.offline) return hasFixtures(provider.id);
+  if (typeof provider?.isConfigured === 'function') return provider.isConfigured();
+  // Providers that declare no env keys are always available
+  if (!provider?.envKeys?.length) return true;
+  return Boolean(providerApiKey(provider));
+}
+
+export function missingKeyMessage(provider) {
+  if (fixturesMode() === 'replay' && !provider.offline) return `No recorded answers for ${provider.label} in ${fixturesDir()}`;
+  if (provider.missingMessage) return provider.missingMessage;
+  return `Missing ${provider.envKeys.join(' or ')}`;
+}
+
+export function providerForModel(model) {
+  if (!model) return null;
+  // Explicit model lists win over name patterns (a local server may also serve "gpt-4o")
+  for (const provider of registry.values()) {
+    if (provider.models?.includes(model)) return provider;
+  }
+  for (const provider of registry.values()) {
+    if (provider.modelPattern?.test(model)) return provider;
+  }
+  return null;
+}
+
+// Serializable view of the registry for the web UI
+export function describeProviders() {
+  return listProviders().map((p) => ({
+    id: p.id,
+    label: p.label,
+    enabled: hasProviderKey(p),
+    defaultModel: p.defaultModel,
+    modelPattern: p.modelPattern ? { source: p.modelPattern.source, flags: p.modelPattern.flags } : null,
+    models: p.models || [],
+    imageModel: typeof p.draw === 'function' ? p.imageModel : undefined,
+    capabilities: p.capabilities,
+  }));
+}
@@ -0,0 +1,101 @@
+import { withTimeout, isAbortError, DEFAULTS } from './providers.js';
+
+// Normalized error categories reported in result objects as `errorCategory`
+export const ERROR_CATEGORIES = ['auth', 'rate-limit', 'invalid-request', 'server', 'timeout', 'network', 'cancelled', 'unknown'];
+
+// Only these can succeed on a later attempt
+const TRANSIENT = new Set(['rate-limit', 'server', 'timeout', 'network']);
+
+const NETWORK_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ETIMEDOUT', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+
+function errorStatus(error) {
+  const status = error?.status ?? error?.statusCode ?? error?.response?.status;
+  return Number.isInteger(status) ? status : undefined;
+}
+
+// Map SDK, fetch and our own errors onto ERROR_CATEGORIES
+export function classifyError(error) {
+  if (isAbortError(error)) return 'cancelled';
+  if (error?.name === 'TimeoutError' || error?.name === 'APIConnectionTimeoutError') return 'timeout';
+  if (['UnsupportedAttachmentError', 'UnsupportedToolsError', 'FixtureMissingError'].includes(error?.name)) return 'invalid-request';
+
+  const status = errorStatus(error);
+  if (status !== undefined) {
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 408) return 'timeout';
+    if (status === 429) return 'rate-limit';
+    if (status >= 500) return 'server';
+    if (status >= 400) return 'invalid-request';
+  }
+
+  const message = String(error?.message || error || '');
+  if (/^Missing [A-Z_]+/.test(message) || /api key/i.test(message)) return 'auth';
+  if (error?.name === 'APIConnectionError') return 'network';
+  const code = error?.code ?? error?.cause?.code;
+  if (NETWORK_CODES.has(code) || /fetch failed|connection error|socket hang up/i.test(message)) return 'network';
+  // Gemini's fetch errors only carry the status inside the message, e.g. "[429 Too Many Requests]"
+  const bracketed = message.match(/\[(\d{3})[ \]]/);
+  if (bracketed) return classifyError({ status: Number(bracketed[1]) });
+  return 'unknown';
+}
+
+export function isTransient(category) {
+  return TRANSIENT.has(category);
+}
+
+// Retry-After / retry-after-ms response header in milliseconds, if the provider sent one
+export function retryAfterMs(error) {
+  const headers = error?.headers;
+  const get = (name) => (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]);
+  // Headers#get returns null for a missing header, and Number(null) would be 0
+  const rawMs = get('retry-after-ms');
+  if (rawMs !== undefined && rawMs !== null && rawMs !== '') {
+    const ms = Number(rawMs);
+    if (Number.isFinite(ms) && ms >= 0) return ms;
+  }
+  const raw = get('retry-after');
+  if (raw === undefined || raw === null || raw === '') return undefined;
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(raw);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with jitter: a random delay in [cap/2, cap] where cap = base * 2^attempt
+export function backoffDelayMs(attempt, { baseDelayMs, maxDelayMs }) {
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(cap / 2 + Math.random() * (cap / 2));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+// Run `taskFactory(signal)` until it succeeds, fails with a non-transient error, or runs out of attempts.
+// Each attempt is capped by `timeoutMs` and aborted on timeout; `signal` (e.g. client disconnect)
+// stops any further attempts. `policy` is { attempts, baseDelayMs, maxDelayMs }; a Retry-After longer
+// than maxDelayMs ends the retries instead of waiting. `canRetry()`, when given, is asked before each
+// retry (a stream that already sent part of its answer cannot start over).
+// Resolves to { ok, value | error, errorCategory?, attempts }.
+export async function runWithRetries(label, taskFactory, { timeoutMs, policy = DEFAULTS.retry, signal, canRetry } = {}) {
+  const attempts = Math.max(1, Number(policy.attempts) || 1);
+  for (let n = 0; ; n++) {
+    const result = await withTimeout((attemptSignal) => taskFactory(attemptSignal), timeoutMs, label, { signal });
+    if (result.ok) return { ...result, attempts: n + 1 };
+    const errorCategory = classifyError(result.error);
+    const failed = { ...result, errorCategory, attempts: n + 1 };
+    if (!isTransient(errorCategory) || signal?.aborted || n + 1 >= attempts || canRetry?.() === false) return failed;
+    const delay = retryAfterMs(result.error) ?? backoffDelayMs(n, policy);
+    if (delay > policy.maxDelayMs) return failed;
+    await sleep(delay, signal);
+    if (signal?.aborted) return failed;
+  }
+}
@@ -0,0 +1,69 @@
+import fs from 'fs';
+import Ajv2020 from 'ajv/dist/2020.js';
+
+// Structured output: one JSON Schema sent to every provider in its own way (OpenAI response_format
+// json_schema, a forced Claude tool, Gemini responseSchema; see the adapters) and every reply
+// validated against it here. The schema's root must be an object, which all three require.
+
+const compiled = new WeakMap();
+
+// A fresh Ajv per schema: Ajv caches every schema it compiles, which would grow without bound in the server
+function validatorFor(schema) {
+  if (!compiled.has(schema)) compiled.set(schema, new Ajv2020({ allErrors: true, strict: false }).compile(schema));
+  return compiled.get(schema);
+}
+
+// Check a schema from a request body or file: { ok, value } or { ok: false, error }.
+// `$schema` is dropped: providers reject it and Ajv would insist on knowing the draft.
+export function parseSchema(data) {
+  if (data === undefined || data === null) return { ok: true, value: undefined };
+  if (typeof data !== 'object' || Array.isArray(data)) return { ok: false, error: 'schema must be a JSON Schema object' };
+  if (data.type !== 'object') return { ok: false, error: 'schema needs "type": "object" at the root' };
+  const { $schema, ...schema } = data;
+  try {
+    validatorFor(schema);
+  } catch (err) {
+    return { ok: false, error: `Invalid JSON Schema: ${err.message}` };
+  }
+  return { ok: true, value: schema };
+}
+
+// For --schema in the CLI; throws with a readable message
+export function readSchemaFile(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read ${filePath}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+  }
+  const parsed = parseSchema(data);
+  if (!parsed.ok) throw new Error(`${filePath}: ${parsed.error}`);
+  return parsed.value;
+}
+
+// Name providers show the model for the schema (OpenAI's json_schema name, Claude's tool name)
+export function schemaName(schema) {
+  const name = String(schema.title || '').replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 64);
+  return name || 'response';
+}
+
+// Parse a reply and validate it: { parsed?, validationErrors: [message] }. An empty list means the
+// reply matches the schema; `parsed` is set whenever the reply is JSON, valid or not.
+export function checkReply(schema, text) {
+  // Models without native structured output sometimes wrap the JSON in a code fence anyway
+  const body = String(text || '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1');
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch (err) {
+    return { validationErrors: [`Not valid JSON: ${err.message}`] };
+  }
+  const validate = validatorFor(schema);
+  if (validate(parsed)) return { parsed, validationErrors: [] };
+  const validationErrors = validate.errors.map((e) => {
+    const where = e.instancePath || '(root)';
+    const extra = e.params?.additionalProperty ? ` "${e.params.additionalProperty}"` : '';
+    return `${where} ${e.message}${extra}`;
+  });
+  return { parsed, validationErrors };
+}
@@ -3,106 +3,387 @@ import express from 'express';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { askOpenAI, askClaude, askGemini, DEFAULTS, withTimeout, nowMs, drawOpenAI } from './providers.js';
-import { loadProviderConfig } from './config.js';
-import OpenAI from 'openai';
+import { randomUUID } from 'crypto';
+import { DEFAULTS, nowMs, listProviders, getProvider, providerForModel, hasProviderKey, missingKeyMessage, describeProviders, streamProvider, askProvider, isAbortError } from './providers.js';
+import { loadRetryPolicy, resolveSettings, withOverrides, requireProfile, listProfiles, configErrors, watchConfig, parseContextSettings } from './config.js';
+import { runWithRetries } from './retry.js';
+import { createSession, listSessions, getSession, deleteSession, getThread, appendToThread, clearThread, sessionUsage } from './sessions.js';
+import { judgeAnswers, loadJudgeConfig } from './judge.js';
+import { costUsd } from './pricing.js';
+import { describeCatalog } from './catalog.js';
+import { parseAttachments, describeAttachments } from './attachments.js';
+import { drawProviders, MAX_IMAGES } from './draw.js';
+import { listTemplates, getTemplate, saveTemplate } from './templates.js';
+import { describeTools, resolveTools } from './tools.js';
+import { parseSchema, checkReply } from './schema.js';
+import { fixturesMode, fixturesDir } from './fixtures.js';
+import { describeCache, clearCache, cacheDir, cacheTtlMs } from './cache.js';
+import { exportSession, exportContentType, exportFileName, parseSessionExport, EXPORT_FORMATS } from './export.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 app.use(cors());
-app.use(express.json({ limit: '1mb' }));
+// Attachments arrive base64-encoded in the JSON body (up to 10 MB per file, see src/attachments.js)
+app.use(express.json({ limit: '32mb' }));
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
-// Retry helper: run task up to `attempts` times, each attempt capped by `perAttemptTimeoutMs`.
-function runWithRetries(label, taskFactory, attempts = 3, perAttemptTimeoutMs = 5000) {
-  async function attempt(n) {
-    const result = await withTimeout(taskFactory(), perAttemptTimeoutMs, label);
-    if (result.ok) return result;
-    if (n + 1 >= attempts) return result;
-    return attempt(n + 1);
+// Browser builds of the libraries the UI renders answers with, served from node_modules
+const nodeModules = path.join(__dirname, '..', 'node_modules');
+const VENDOR_DIRS = {
+  marked: 'marked/lib',
+  dompurify: 'dompurify/dist',
+  highlight: '@highlightjs/cdn-assets',
+  katex: 'katex/dist',
+  diff: 'diff/dist',
+};
+for (const [name, dir] of Object.entries(VENDOR_DIRS)) {
+  app.use(`/vendor/${name}`, express.static(path.join(nodeModules, dir)));
+}
+
+// AbortController that fires when the client goes away before the response is finished
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  return controller;
+}
+
+function openEventStream(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders?.();
+}
+
+function sendEvent(res, payload) {
+  try { res.write(`data: ${JSON.stringify(payload)}\n\n`); } catch {}
+}
+
+// History for one card: the server-side session thread when a session is given, else what the client sent
+function threadHistory(sessionId, threadId, histories) {
+  if (sessionId) return getThread(sessionId, threadId);
+  return Array.isArray(histories?.[threadId]) ? histories[threadId] : [];
+}
+
+// Persist a successful exchange to the card's session thread (no-op without a session).
+// The user message keeps the attachments' names and sizes, not their contents; the answer keeps its tool-call trace.
+// Structured answers keep their validation errors (an empty list when the answer matched the schema), and
+// answers to a history that had to be cut down keep what was sent (historyTrim, see src/context.js).
+// The answer has already been streamed by then, so a failed write (a full disk, a read-only file) is logged and
+// returned as a message for the client instead of thrown.
+function recordExchange(sessionId, threadId, { prompt, attachments, text, provider, model, latencyMs, params, usage, costUsd, cached, tools, validationErrors, historyTrim }) {
+  if (!sessionId || !threadId) return null;
+  try {
+    appendToThread(sessionId, threadId, [
+      { role: 'user', content: prompt, attachments: describeAttachments(attachments) },
+      { role: 'assistant', content: text, provider, model, latencyMs, params, usage, costUsd, cached, tools, validationErrors, historyTrim },
+    ]);
+    return null;
+  } catch (err) {
+    console.warn(`Session ${sessionId}: could not save the answer (${err.message})`);
+    return `Answer not saved to the session: ${err.message}`;
   }
-  return attempt(0);
 }
 
-// Streaming (real-time) generation for OpenAI via Server-Sent Events
-app.post('/api/stream', async (req, res) => {
+// Tool names from a request body: { ok, value } (undefined when none were asked for) or { ok: false, error }
+function parseTools(tools) {
+  if (tools === undefined || tools === null) return { ok: true, value: undefined };
+  if (!Array.isArray(tools) || !tools.every((t) => typeof t === 'string')) return { ok: false, error: 'tools must be a list of tool names' };
   try {
-    const { prompt, system, model, temperature, maxTokens, maxCompletionTokens, histories, modelId } = req.body || {};
-    if (!prompt) return res.status(400).end('Missing prompt');
-
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.flushHeaders?.();
-
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      res.write(`data: ${JSON.stringify({ error: 'Missing OPENAI_API_KEY' })}\n\n`);
-      return res.end();
-    }
-    const client = new OpenAI({ apiKey });
+    resolveTools(tools);
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+  return { ok: true, value: tools.length ? tools : undefined };
+}
 
-    // Build messages with history
-    const messages = [];
-    if (system) messages.push({ role: 'system', content: system });
-    // Use modelId-specific history for streaming
-    const history = (typeof modelId === 'string' && Array.isArray(histories?.[modelId])) 
-      ? histories[modelId] 
-      : (histories?.openai || []);
-    if (Array.isArray(history)) {
-      for (const m of history) {
-        const role = m?.role === 'assistant' ? 'assistant' : m?.role === 'system' ? 'system' : 'user';
-        const content = typeof m?.content === 'string' ? m.content : '';
-        if (content) messages.push({ role, content });
+// Tools, structured output, history (`context`) and response cache options from a request body:
+// { ok, tools, schema, context, cache } or { ok: false, error }. `cache: false` skips the response cache.
+function parseAnswerOptions(body) {
+  if (body.cache !== undefined && typeof body.cache !== 'boolean') return { ok: false, error: 'cache must be true or false' };
+  const tools = parseTools(body.tools);
+  if (!tools.ok) return tools;
+  const schema = parseSchema(body.schema);
+  if (!schema.ok) return schema;
+  if (tools.value && schema.value) return { ok: false, error: 'schema cannot be combined with tools' };
+  const context = parseContextSettings(body.context);
+  if (!context.ok) return context;
+  return { ok: true, tools: tools.value, schema: schema.value, context: context.value, cache: body.cache };
+}
+
+// The request's `context` settings over the profile's (or the defaults)
+function contextFor(settings, answerOptions) {
+  return { ...(settings.context || DEFAULTS.context), ...answerOptions.context };
+}
+
+// Respond 400 and return false when the request names a profile that does not exist
+function checkProfile(profile, res, asJson = true) {
+  if (!profile) return true;
+  try {
+    requireProfile(profile);
+    return true;
+  } catch (err) {
+    if (asJson) res.status(400).json({ error: err.message });
+    else res.status(400).end(err.message);
+    return false;
+  }
+}
+
+// A selected profile replaces the request's sampling settings (see src/config.js for the layers)
+function profileOptions(profile, providerId, model) {
+  const s = resolveSettings({ providerId, model, profile });
+  return { system: s.system, temperature: s.temperature, maxTokens: s.maxTokens, maxCompletionTokens: undefined, timeoutMs: s.timeoutMs, context: s.context };
+}
+
+// Stream one card's answer as `delta` events followed by a single `done` or `error` event.
+// Events carry the provider id (and the card's modelId when given) so several cards can share one stream.
+// A `historyTrim` event comes first when the card's history had to be cut down to fit the model.
+// With `options.tools`, a `tool` event precedes the answer for every tool call the model makes.
+// `done` carries the token usage and its cost when the provider reports usage (no cost, with `cached: true`,
+// for an answer from the response cache: it was paid for once already), the tool-call trace, the history trim, and with `options.schema`
+// the parsed answer and its validation errors.
+// Transient failures are retried per the provider's retry policy (src/retry.js) as long as no delta or tool
+// event has been sent; after that the card fails, since the client already shows part of the answer.
+// `done` and `error` carry the number of `attempts`.
+// Resolves to { ok, text, latencyMs, usage?, costUsd?, cached?, tools?, historyTrim?, parsed?, validationErrors? }.
+async function streamCard(res, { modelId, provider, model, options, timeoutMs, signal }) {
+  const tag = { ...(modelId ? { modelId } : {}), provider: provider.id, model };
+  const startedAt = nowMs();
+  let accumulated = '';
+  let usage;
+  let historyTrim;
+  let cached;
+  let answerSent = false;
+  const trace = options.tools ? [] : undefined;
+  const r = await runWithRetries(provider.label, async (attemptSignal) => {
+    usage = undefined;
+    cached = undefined;
+    for await (const part of streamProvider(provider, { ...options, model, signal: attemptSignal })) {
+      if (attemptSignal.aborted) break;
+      if (part?.historyTrim) {
+        // Every attempt fits the same history; the client needs to hear about it once
+        if (!historyTrim) sendEvent(res, { ...tag, historyTrim: part.historyTrim });
+        historyTrim = part.historyTrim;
+        continue;
+      }
+      if (part?.cached) {
+        cached = true;
+        continue;
+      }
+      if (part?.tool) {
+        trace.push(part.tool);
+        answerSent = true;
+        sendEvent(res, { ...tag, tool: part.tool });
+        continue;
       }
+      if (typeof part !== 'string') {
+        usage = part.usage;
+        continue;
+      }
+      accumulated += part;
+      answerSent = true;
+      sendEvent(res, { ...tag, delta: part });
     }
-    messages.push({ role: 'user', content: prompt });
+    return accumulated;
+  }, { timeoutMs, policy: loadRetryPolicy(provider.id), signal, canRetry: () => !answerSent });
+  const latencyMs = nowMs() - startedAt;
+  const cost = cached ? undefined : costUsd(model, usage);
+  const structured = r.ok && options.schema ? checkReply(options.schema, accumulated) : {};
+  if (r.ok) {
+    sendEvent(res, { ...tag, done: true, text: accumulated, latencyMs, usage, costUsd: cost, cached, tools: trace, historyTrim, attempts: r.attempts, ...structured });
+  } else if (isAbortError(r.error)) {
+    sendEvent(res, { ...tag, cancelled: true, error: 'Cancelled', errorCategory: 'cancelled', text: accumulated, latencyMs });
+  } else {
+    sendEvent(res, { ...tag, error: String(r.error?.message || r.error), errorCategory: r.errorCategory, attempts: r.attempts, text: accumulated, latencyMs });
+  }
+  return { ok: r.ok, text: accumulated, latencyMs, usage, costUsd: cost, cached, tools: trace, historyTrim, ...structured };
+}
 
-    const startedAt = nowMs();
-    const isGpt5 = /gpt-5/i.test(model || '') || /-2025-/.test(model || '');
-    const payload = { model: model || DEFAULTS.openaiModel, messages };
-    if (!isGpt5 && typeof temperature === 'number') payload.temperature = temperature;
-    if (isGpt5) {
-      if (typeof (maxCompletionTokens ?? maxTokens) === 'number') payload.max_completion_tokens = maxCompletionTokens ?? maxTokens;
-    } else if (typeof (maxTokens ?? maxCompletionTokens) === 'number') {
-      payload.max_tokens = maxTokens ?? maxCompletionTokens;
-    }
+// Streaming (real-time) generation for a single model via Server-Sent Events
+app.post('/api/stream', async (req, res) => {
+  const { prompt, model, histories, modelId, sessionId, profile } = req.body || {};
+  if (!prompt) return res.status(400).end('Missing prompt');
+  if (sessionId && !getSession(sessionId)) return res.status(404).end('Unknown session');
+  if (!checkProfile(profile, res, false)) return;
+  const attachments = parseAttachments(req.body.attachments);
+  if (!attachments.ok) return res.status(400).end(attachments.error);
+  const answerOptions = parseAnswerOptions(req.body);
+  if (!answerOptions.ok) return res.status(400).end(answerOptions.error);
+  // Without a model the OpenAI default answers; a model no provider serves is an error, not a guess
+  const provider = model ? providerForModel(model) : getProvider('openai');
+  if (!provider) return res.status(400).end(`Unknown provider for model ${model}`);
+  openEventStream(res);
+  const controller = abortOnDisconnect(res);
 
-    const stream = await client.chat.completions.create({ ...payload, stream: true });
-    let accumulated = '';
-    for await (const part of stream) {
-      const delta = part?.choices?.[0]?.delta?.content ?? '';
-      if (delta) {
-        accumulated += delta;
-        res.write(`data: ${JSON.stringify({ provider: 'openai', delta })}\n\n`);
-      }
+  try {
+    if (!hasProviderKey(provider)) {
+      sendEvent(res, { provider: provider.id, error: missingKeyMessage(provider), errorCategory: 'auth' });
+      return;
     }
-    res.write(`data: ${JSON.stringify({ provider: 'openai', done: true, text: accumulated, latencyMs: nowMs() - startedAt })}\n\n`);
-    res.end();
+    // Use modelId-specific history for streaming
+    const threadId = typeof modelId === 'string' ? modelId : provider.id;
+    const history = threadHistory(sessionId, threadId, histories);
+    const streamModel = model || provider.defaultModel;
+    const settings = profile ? profileOptions(profile, provider.id, streamModel) : req.body;
+    const { system, temperature, maxTokens, maxCompletionTokens, timeoutMs } = settings;
+    const context = contextFor(profile ? settings : {}, answerOptions);
+    const r = await streamCard(res, {
+      modelId,
+      provider,
+      model: streamModel,
+      options: { prompt, system, temperature, maxTokens, maxCompletionTokens, history, context, attachments: attachments.value, tools: answerOptions.tools, schema: answerOptions.schema, cache: answerOptions.cache },
+      timeoutMs,
+      signal: controller.signal,
+    });
+    const saveError = r.ok ? recordExchange(sessionId, threadId, { prompt, attachments: attachments.value, text: r.text, provider: provider.id, model: streamModel, latencyMs: r.latencyMs, params: { system, temperature, maxTokens }, usage: r.usage, costUsd: r.costUsd, cached: r.cached, tools: r.tools, validationErrors: r.validationErrors, historyTrim: r.historyTrim }) : null;
+    if (saveError) sendEvent(res, { modelId, provider: provider.id, error: saveError });
   } catch (err) {
-    try { res.write(`data: ${JSON.stringify({ error: String(err?.message || err) })}\n\n`); } catch {}
+    // Express 4 does not catch rejected handlers; the answer stream has to end with an error event instead
+    sendEvent(res, { provider: provider.id, error: String(err?.message || err) });
+  } finally {
     res.end();
   }
 });
 
-app.post('/api/draw', async (req, res) => {
+// In-flight multiplexed streams: streamId -> Map(modelId -> AbortController), for per-card Stop
+const activeStreams = new Map();
+
+// Multiplexed streaming: every card in `cards` streams concurrently over one SSE response.
+// Body: { prompt, attachments?, tools?, schema?, context?, cache?, sessionId? | histories?, streamId?, profile?, cards: [{ modelId, model, system, temperature, maxTokens, maxCompletionTokens, timeoutMs }] }
+// With a sessionId each card's history is read from, and its answer appended to, the session thread for its modelId.
+// The first event is { streamId }; pass it to /api/stream/cancel to stop one card or all of them.
+app.post('/api/stream/all', async (req, res) => {
+  const { prompt, histories, cards, sessionId, profile } = req.body || {};
+  if (!prompt || typeof prompt !== 'string' || !prompt.trim()) return res.status(400).end('Missing prompt');
+  if (!Array.isArray(cards) || cards.length === 0) return res.status(400).end('Missing cards');
+  if (sessionId && !getSession(sessionId)) return res.status(404).end('Unknown session');
+  if (!checkProfile(profile, res, false)) return;
+  const attachments = parseAttachments(req.body.attachments);
+  if (!attachments.ok) return res.status(400).end(attachments.error);
+  const answerOptions = parseAnswerOptions(req.body);
+  if (!answerOptions.ok) return res.status(400).end(answerOptions.error);
+  openEventStream(res);
+  const streamId = typeof req.body.streamId === 'string' && req.body.streamId ? req.body.streamId : randomUUID();
+  const controller = abortOnDisconnect(res);
+  const cardControllers = new Map();
+  activeStreams.set(streamId, cardControllers);
+  sendEvent(res, { streamId });
+
   try {
-    const { prompt, size } = req.body || {};
-    if (!prompt || typeof prompt !== 'string') {
-      return res.status(400).json({ error: 'Missing prompt' });
-    }
-    const startedAt = nowMs();
-    const dataUrl = await drawOpenAI({ prompt, size });
-    return res.json({ ok: true, image: dataUrl, latencyMs: nowMs() - startedAt });
+    await Promise.all(cards.map(async (card, index) => {
+      const modelId = typeof card?.modelId === 'string' ? card.modelId : undefined;
+      const cardController = new AbortController();
+      cardControllers.set(modelId ?? String(index), cardController);
+      controller.signal.addEventListener('abort', () => cardController.abort(), { once: true });
+      const provider = providerForModel(card?.model);
+      if (!provider) {
+        sendEvent(res, { modelId, model: card?.model, error: `Unknown provider for model ${card?.model}`, errorCategory: 'invalid-request' });
+        return;
+      }
+      if (!hasProviderKey(provider)) {
+        sendEvent(res, { modelId, provider: provider.id, model: card.model, error: missingKeyMessage(provider), errorCategory: 'auth', latencyMs: 0 });
+        return;
+      }
+      const settings = profile ? profileOptions(profile, provider.id, card.model) : {
+        system: card.system || undefined,
+        temperature: typeof card.temperature === 'number' ? card.temperature : DEFAULTS.temperature,
+        maxTokens: typeof card.maxTokens === 'number' ? card.maxTokens : DEFAULTS.maxTokens,
+        maxCompletionTokens: card.maxCompletionTokens,
+        timeoutMs: card.timeoutMs,
+      };
+      const { timeoutMs: cardTimeoutMs, ...sampling } = settings;
+      const options = {
+        prompt,
+        attachments: attachments.value,
+        tools: answerOptions.tools,
+        schema: answerOptions.schema,
+        cache: answerOptions.cache,
+        ...sampling,
+        context: contextFor(settings, answerOptions),
+        history: modelId ? threadHistory(sessionId, modelId, histories) : [],
+      };
+      const r = await streamCard(res, {
+        modelId,
+        provider,
+        model: card.model,
+        options,
+        timeoutMs: cardTimeoutMs,
+        signal: cardController.signal,
+      });
+      const saveError = r.ok ? recordExchange(sessionId, modelId, {
+        prompt,
+        attachments: attachments.value,
+        text: r.text,
+        provider: provider.id,
+        model: card.model,
+        latencyMs: r.latencyMs,
+        params: { system: options.system, temperature: options.temperature, maxTokens: options.maxTokens },
+        usage: r.usage,
+        costUsd: r.costUsd,
+        cached: r.cached,
+        tools: r.tools,
+        validationErrors: r.validationErrors,
+        historyTrim: r.historyTrim,
+      }) : null;
+      if (saveError) sendEvent(res, { modelId, provider: provider.id, model: card.model, error: saveError });
+    }));
+    sendEvent(res, { end: true });
   } catch (err) {
-    return res.json({ ok: false, error: String(err?.message || err) });
+    sendEvent(res, { error: String(err?.message || err), end: true });
+  } finally {
+    activeStreams.delete(streamId);
+    res.end();
   }
 });
 
+// Cancel a card (or, without modelId, every card) of a running /api/stream/all response
+app.post('/api/stream/cancel', (req, res) => {
+  const { streamId, modelId } = req.body || {};
+  const cardControllers = activeStreams.get(streamId);
+  if (!cardControllers) return res.status(404).json({ ok: false, error: 'Unknown streamId' });
+  let cancelled = 0;
+  for (const [id, cardController] of cardControllers) {
+    if (modelId !== undefined && id !== modelId) continue;
+    if (!cardController.signal.aborted) {
+      cardController.abort();
+      cancelled += 1;
+    }
+  }
+  res.json({ ok: true, cancelled });
+});
+
+// Image generation with every image-capable provider, or only those in `providers`
+// Body: { prompt, providers?: { openai: true }, models?: { openai: "dall-e-3" }, size?, quality?, n? }
+// Resolves to { [providerId]: { provider, model, ok, images?: [dataUrl], error?, errorCategory?, attempts, latencyMs } }.
+app.post('/api/draw', async (req, res) => {
+  const { prompt, providers, models, size, quality, n } = req.body || {};
+  if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
+    return res.status(400).json({ error: 'Missing prompt' });
+  }
+  const count = n === undefined ? 1 : n;
+  if (!Number.isInteger(count) || count < 1 || count > MAX_IMAGES) {
+    return res.status(400).json({ error: `n must be an integer from 1 to ${MAX_IMAGES}` });
+  }
+  const selected = providers && typeof providers === 'object'
+    ? Object.fromEntries(Object.keys(providers).filter((id) => providers[id] === true && getProvider(id)).map((id) => [id, models?.[id] || '']))
+    : undefined;
+  const controller = abortOnDisconnect(res);
+  const results = await drawProviders({
+    prompt,
+    models: selected,
+    size: typeof size === 'string' && size ? size : undefined,
+    quality: typeof quality === 'string' && quality ? quality : undefined,
+    n: count,
+    signal: controller.signal,
+  });
+  if (!controller.signal.aborted) res.json(results);
+});
+
 app.post('/api/ask', async (req, res) => {
-  const { prompt, system, providers, models, temperature, maxTokens, timeoutMs, history, histories, showReasoning, useModelConfig, modelId } = req.body || {};
+  const { prompt, system, providers, models, temperature, maxTokens, timeoutMs, history, histories, showReasoning, useModelConfig, modelId, sessionId, judge, profile } = req.body || {};
   console.log('=== /api/ask DEBUG ===');
   console.log('modelId:', modelId);
   console.log('prompt:', prompt);
@@ -116,211 +397,284 @@ app.post('/api/ask', async (req, res) => {
   if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
     return res.status(400).json({ error: 'Missing prompt' });
   }
-  // Only run providers explicitly requested by the client
-  const requested = {
-    openai: providers?.openai === true,
-    claude: providers?.claude === true,
-    gemini: providers?.gemini === true,
-  };
-  const hasKey = {
-    openai: Boolean(process.env.OPENAI_API_KEY),
-    claude: Boolean(process.env.ANTHROPIC_API_KEY),
-    gemini: Boolean(process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY),
-  };
-  const enabled = {
-    openai: requested.openai && hasKey.openai,
-    claude: requested.claude && hasKey.claude,
-    gemini: requested.gemini && hasKey.gemini,
-  };
+  if (sessionId && !getSession(sessionId)) {
+    return res.status(404).json({ error: 'Unknown session' });
+  }
+  if (!checkProfile(profile, res)) return;
+  const attachments = parseAttachments(req.body.attachments);
+  if (!attachments.ok) return res.status(400).json({ error: attachments.error });
+  const answerOptions = parseAnswerOptions(req.body);
+  if (!answerOptions.ok) return res.status(400).json({ error: answerOptions.error });
   const config = {
     system: (typeof system === 'string' && system.trim().length > 0) ? system : undefined,
     temperature: typeof temperature === 'number' ? temperature : DEFAULTS.temperature,
     maxTokens: typeof maxTokens === 'number' ? maxTokens : DEFAULTS.maxTokens,
     timeoutMs: typeof timeoutMs === 'number' ? timeoutMs : DEFAULTS.timeoutMs,
-    models: {
-      openai: models?.openai || DEFAULTS.openaiModel,
-      claude: models?.claude || DEFAULTS.claudeModel,
-      gemini: models?.gemini || DEFAULTS.geminiModel,
-    },
     showReasoning: Boolean(showReasoning),
   };
 
-  // Optional: merge per-provider JSON defaults if requested
-  let eff = {
-    sys: { openai: config.system, claude: config.system, gemini: config.system },
-    temp: { openai: config.temperature, claude: config.temperature, gemini: config.temperature },
-    maxT: { openai: config.maxTokens, claude: config.maxTokens, gemini: config.maxTokens },
-    tmo: { openai: config.timeoutMs, claude: config.timeoutMs, gemini: config.timeoutMs },
-  };
-  try {
-    if (useModelConfig === true) {
-      const CFG = loadProviderConfig();
-      eff.sys.openai = (config.system !== undefined) ? config.system : CFG.openai.system;
-      eff.sys.claude = (config.system !== undefined) ? config.system : CFG.claude.system;
-      eff.sys.gemini = (config.system !== undefined) ? config.system : CFG.gemini.system;
-      eff.temp.openai = Number.isFinite(temperature) ? config.temperature : CFG.openai.temperature;
-      eff.temp.claude = Number.isFinite(temperature) ? config.temperature : CFG.claude.temperature;
-      eff.temp.gemini = Number.isFinite(temperature) ? config.temperature : CFG.gemini.temperature;
-      eff.maxT.openai = Number.isFinite(maxTokens) ? config.maxTokens : CFG.openai.maxTokens;
-      eff.maxT.claude = Number.isFinite(maxTokens) ? config.maxTokens : CFG.claude.maxTokens;
-      eff.maxT.gemini = Number.isFinite(maxTokens) ? config.maxTokens : CFG.gemini.maxTokens;
-      eff.tmo.openai = Number.isFinite(timeoutMs) ? config.timeoutMs : CFG.openai.timeoutMs;
-      eff.tmo.claude = Number.isFinite(timeoutMs) ? config.timeoutMs : CFG.claude.timeoutMs;
-      eff.tmo.gemini = Number.isFinite(timeoutMs) ? config.timeoutMs : CFG.gemini.timeoutMs;
+  // A profile replaces the request's settings; useModelConfig fills only what the request left out
+  // from the provider and model config files
+  function effective(providerId, model) {
+    if (profile) return profileOptions(profile, providerId, model);
+    if (useModelConfig !== true) {
+      return { system: config.system, temperature: config.temperature, maxTokens: config.maxTokens, timeoutMs: config.timeoutMs };
     }
-  } catch {}
+    return withOverrides(resolveSettings({ providerId, model }), {
+      system: config.system,
+      temperature: Number.isFinite(temperature) ? temperature : undefined,
+      maxTokens: Number.isFinite(maxTokens) ? maxTokens : undefined,
+      timeoutMs: Number.isFinite(timeoutMs) ? timeoutMs : undefined,
+    });
+  }
 
   // Provider-specific histories with backward-compat fallback to a single 'history'
   function pickHist(providerKey) {
-    if (Array.isArray(histories?.[providerKey])) {
-      console.log(`Using histories[${providerKey}] (${histories[providerKey].length} items)`);
-      return histories[providerKey];
-    }
-    // If client specified modelId (model1|model2|model3), prefer that card's history
+    // Server-side session: each card (or provider, without a modelId) has its own thread
+    if (sessionId) return getThread(sessionId, threadIdFor(providerKey));
+    // A card's own history (keyed by its card id) wins over a per-provider one
     if (typeof modelId === 'string' && Array.isArray(histories?.[modelId])) {
       console.log(`Using histories[${modelId}] (${histories[modelId].length} items)`);
       return histories[modelId];
     }
-    // naive mapping: concatenate all model histories for provider
-    if (Array.isArray(histories?.model1) || Array.isArray(histories?.model2) || Array.isArray(histories?.model3)) {
-      const combined = [];
-      ['model1','model2','model3'].forEach(k=>{if(Array.isArray(histories?.[k])) combined.push(...histories[k]);});
-      console.log(`Using combined history (${combined.length} items)`);
-      return combined;
+    if (Array.isArray(histories?.[providerKey])) {
+      console.log(`Using histories[${providerKey}] (${histories[providerKey].length} items)`);
+      return histories[providerKey];
     }
+    // Never merge other cards' threads: that mixes separate conversations
     console.log('Using fallback history');
     return history ?? [];
   }
-  const historyOpenAI = pickHist('openai');
-  const historyClaude = pickHist('claude');
-  const historyGemini = pickHist('gemini');
+
+  function threadIdFor(providerKey) {
+    return typeof modelId === 'string' ? modelId : providerKey;
+  }
 
   const jobs = [];
   const results = {};
+  const controller = abortOnDisconnect(res);
 
-  if (!hasKey.openai && requested.openai) {
-    console.warn('OpenAI disabled: missing OPENAI_API_KEY');
-    results.openai = {
-      provider: 'openai',
-      model: config.models.openai,
-      ok: false,
-      error: 'Missing OPENAI_API_KEY',
-      latencyMs: 0,
-    };
-  } else if (enabled.openai) {
-    const startedAt = nowMs();
-    jobs.push(
-      runWithRetries('OpenAI', () => (
-        askOpenAI({
-          prompt,
-          system: eff.sys.openai,
-          model: config.models.openai,
-          temperature: eff.temp.openai,
-          maxTokens: eff.maxT.openai,
-          history: historyOpenAI,
-          useModelConfig: useModelConfig === true,
-        })
-      ), 3, eff.tmo.openai).then((r) => {
-        results.openai = {
-          provider: 'openai',
-          model: config.models.openai,
-          ok: r.ok,
-          text: r.ok ? r.value : undefined,
-          error: r.ok ? undefined : String(r.error?.message || r.error),
-          latencyMs: nowMs() - startedAt,
-        };
-      })
-    );
-  }
-  if (!hasKey.claude && requested.claude) {
-    console.warn('Claude disabled: missing ANTHROPIC_API_KEY');
-    results.claude = {
-      provider: 'claude',
-      model: config.models.claude,
-      ok: false,
-      error: 'Missing ANTHROPIC_API_KEY',
-      latencyMs: 0,
-    };
-  } else if (enabled.claude) {
-    const startedAt = nowMs();
-    jobs.push(
-      runWithRetries('Claude', () => (
-        askClaude({
-          prompt,
-          system: eff.sys.claude,
-          model: config.models.claude,
-          temperature: eff.temp.claude,
-          maxTokens: eff.maxT.claude,
-          history: historyClaude,
-        })
-      ), 3, eff.tmo.claude).then((r) => {
-        results.claude = {
-          provider: 'claude',
-          model: config.models.claude,
-          ok: r.ok,
-          text: r.ok ? r.value : undefined,
-          error: r.ok ? undefined : String(r.error?.message || r.error),
-          latencyMs: nowMs() - startedAt,
-        };
-      })
-    );
-  }
-  if (!hasKey.gemini && requested.gemini) {
-    console.warn('Gemini disabled: missing GEMINI_API_KEY');
-    results.gemini = {
-      provider: 'gemini',
-      model: config.models.gemini,
-      ok: false,
-      error: 'Missing GEMINI_API_KEY or GOOGLE_API_KEY',
-      latencyMs: 0,
-    };
-  } else if (enabled.gemini) {
+  for (const provider of listProviders()) {
+    // Only run providers explicitly requested by the client
+    if (providers?.[provider.id] !== true) continue;
+    const model = models?.[provider.id] || provider.defaultModel;
+    if (!hasProviderKey(provider)) {
+      console.warn(`${provider.label} disabled: ${missingKeyMessage(provider)}`);
+      results[provider.id] = {
+        provider: provider.id,
+        model,
+        ok: false,
+        error: missingKeyMessage(provider),
+        errorCategory: 'auth',
+        attempts: 0,
+        latencyMs: 0,
+      };
+      continue;
+    }
+    const eff = effective(provider.id, model);
+    const providerHistory = pickHist(provider.id);
     const startedAt = nowMs();
     jobs.push(
-      runWithRetries('Gemini', () => (
-        askGemini({
+      runWithRetries(provider.label, (signal) => (
+        askProvider(provider, {
           prompt,
-          system: eff.sys.gemini,
-          model: config.models.gemini,
-          temperature: eff.temp.gemini,
-          maxTokens: eff.maxT.gemini,
-          history: historyGemini,
+          system: eff.system,
+          model,
+          temperature: eff.temperature,
+          maxTokens: eff.maxTokens,
+          history: providerHistory,
+          context: contextFor(eff, answerOptions),
+          attachments: attachments.value,
+          tools: answerOptions.tools,
+          schema: answerOptions.schema,
+          cache: answerOptions.cache,
+          signal,
         })
-      ), 3, eff.tmo.gemini).then((r) => {
-        results.gemini = {
-          provider: 'gemini',
-          model: config.models.gemini,
+      ), { timeoutMs: eff.timeoutMs, policy: loadRetryPolicy(provider.id), signal: controller.signal }).then((r) => {
+        results[provider.id] = {
+          provider: provider.id,
+          model,
           ok: r.ok,
-          text: r.ok ? r.value : undefined,
+          text: r.ok ? r.value.text : undefined,
+          usage: r.ok ? r.value.usage : undefined,
+          costUsd: r.ok && !r.value.cached ? costUsd(model, r.value.usage) : undefined,
+          cached: r.ok ? r.value.cached : undefined,
+          tools: r.ok ? r.value.tools : undefined,
+          ...(r.ok && answerOptions.schema ? checkReply(answerOptions.schema, r.value.text) : {}),
+          historyTrim: r.ok ? r.value.historyTrim : undefined,
           error: r.ok ? undefined : String(r.error?.message || r.error),
+          errorCategory: r.errorCategory,
+          attempts: r.attempts,
           latencyMs: nowMs() - startedAt,
         };
+        if (r.ok) {
+          recordExchange(sessionId, threadIdFor(provider.id), {
+            prompt,
+            attachments: attachments.value,
+            text: r.value.text,
+            provider: provider.id,
+            model,
+            latencyMs: results[provider.id].latencyMs,
+            params: { system: eff.system, temperature: eff.temperature, maxTokens: eff.maxTokens },
+            usage: results[provider.id].usage,
+            costUsd: results[provider.id].costUsd,
+            cached: results[provider.id].cached,
+            tools: results[provider.id].tools,
+            validationErrors: results[provider.id].validationErrors,
+            historyTrim: results[provider.id].historyTrim,
+          });
+        }
       })
     );
   }
 
   await Promise.all(jobs);
+  // Optional judge step: `judge: true` uses config/judge.json, a string or { model } picks the judge model
+  if (judge && !controller.signal.aborted) {
+    const answers = Object.values(results)
+      .filter((r) => r.ok)
+      .map((r) => ({ id: r.provider, model: r.model, text: r.text }));
+    const judgeModel = typeof judge === 'string' ? judge : judge?.model;
+    results.judge = await judgeAnswers({ prompt, answers, model: judgeModel, signal: controller.signal });
+  }
+  if (controller.signal.aborted) return;
   res.json(results);
 });
 
+// Judge answers gathered elsewhere (e.g. the streaming cards in the UI)
+// Body: { prompt, answers: [{ id, model, text }], model? }
+app.post('/api/judge', async (req, res) => {
+  const { prompt, answers, model } = req.body || {};
+  if (!prompt || typeof prompt !== 'string') return res.status(400).json({ error: 'Missing prompt' });
+  if (!Array.isArray(answers)) return res.status(400).json({ error: 'Missing answers' });
+  const controller = abortOnDisconnect(res);
+  const verdict = await judgeAnswers({ prompt, answers, model, signal: controller.signal });
+  if (!controller.signal.aborted) res.json(verdict);
+});
+
+app.get('/api/judge/config', (req, res) => {
+  res.json({ model: loadJudgeConfig().model });
+});
+
+// Conversation sessions: per-card threads stored server-side (see src/sessions.js)
+app.post('/api/sessions', (req, res) => {
+  res.status(201).json(createSession({ title: req.body?.title }));
+});
+
+app.get('/api/sessions', (req, res) => {
+  res.json(listSessions());
+});
+
+// Re-import a JSON export as a new session
+app.post('/api/sessions/import', (req, res) => {
+  try {
+    res.status(201).json(createSession(parseSessionExport(req.body)));
+  } catch (err) {
+    res.status(400).json({ error: String(err?.message || err) });
+  }
+});
+
+// Download a session as ?format=json|markdown|html
+app.get('/api/sessions/:id/export', (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Unknown session' });
+  const format = String(req.query.format || 'json');
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+  res.setHeader('Content-Type', exportContentType(format));
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(session, format)}"`);
+  res.send(exportSession(session, format));
+});
+
+app.get('/api/sessions/:id', (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Unknown session' });
+  res.json({ ...session, usage: sessionUsage(session) });
+});
+
+app.delete('/api/sessions/:id', (req, res) => {
+  if (!deleteSession(req.params.id)) return res.status(404).json({ error: 'Unknown session' });
+  res.json({ ok: true });
+});
+
+// Clear a single card's thread
+app.delete('/api/sessions/:id/threads/:threadId', (req, res) => {
+  const session = clearThread(req.params.id, req.params.threadId);
+  if (!session) return res.status(404).json({ error: 'Unknown session' });
+  res.json({ ok: true });
+});
+
+// Named profiles from config/profiles, plus any problems found in the config files
+app.get('/api/profiles', (req, res) => {
+  res.json({ profiles: listProfiles(), errors: configErrors() });
+});
+
+// Prompt templates from templates/ (see src/templates.js), plus any problems found in the files
+app.get('/api/templates', (req, res) => {
+  res.json(listTemplates());
+});
+
+app.get('/api/templates/:name', (req, res) => {
+  const template = getTemplate(req.params.name);
+  if (!template) return res.status(404).json({ error: 'Unknown template' });
+  res.json(template);
+});
+
+// Create or replace a template. Body: { name, description?, system?, prompt, variables? }
+app.post('/api/templates', (req, res) => {
+  const { name, ...fields } = req.body || {};
+  const r = saveTemplate(name, fields);
+  if (!r.ok) return res.status(400).json({ error: r.error });
+  res.status(r.value.created ? 201 : 200).json(r.value.template);
+});
+
+// Local tools the models can call: [{ name, description, parameters }]
+app.get('/api/tools', (req, res) => {
+  res.json(describeTools());
+});
+
+// Response cache (src/cache.js): what is in it, newest first (?limit=, default 100)
+app.get('/api/cache', (req, res) => {
+  const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+  if (limit !== undefined && !(Number.isInteger(limit) && limit >= 0)) return res.status(400).json({ error: 'limit must be a whole number' });
+  res.json(describeCache({ limit }));
+});
+
+// Clear the response cache: everything, or with ?expired=1 only expired entries, with ?provider=<id> only that provider's
+app.delete('/api/cache', (req, res) => {
+  const provider = typeof req.query.provider === 'string' && req.query.provider ? req.query.provider : undefined;
+  if (provider && !getProvider(provider)) return res.status(400).json({ error: `Unknown provider ${provider}` });
+  const removed = clearCache({ expiredOnly: req.query.expired === '1' || req.query.expired === 'true', provider });
+  res.json({ ok: true, removed });
+});
+
+function keyStatus() {
+  return Object.fromEntries(listProviders().map((p) => [p.id, hasProviderKey(p)]));
+}
+
 // Report which providers are currently enabled via env keys
 app.get('/api/providers', (req, res) => {
-  res.json({
-    openai: Boolean(process.env.OPENAI_API_KEY),
-    claude: Boolean(process.env.ANTHROPIC_API_KEY),
-    gemini: Boolean(process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY),
-  });
+  res.json(keyStatus());
+});
+
+// Registered providers with model matchers and capabilities, used by the UI
+app.get('/api/providers/details', (req, res) => {
+  res.json(describeProviders());
+});
+
+// Model catalog from config/catalog.json (plus provider-listed models), used to build the UI's model selects
+app.get('/api/models', (req, res) => {
+  res.json(describeCatalog());
 });
 
 const basePort = Number(process.env.PORT || 3000);
 function startServer(port, retries = 5) {
   const server = app.listen(port, () => {
     console.log(`Server running on http://localhost:${port}`);
-    console.log('Env keys detected:', {
-      openai: Boolean(process.env.OPENAI_API_KEY),
-      claude: Boolean(process.env.ANTHROPIC_API_KEY),
-      gemini: Boolean(process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY),
-    });
+    console.log('Env keys detected:', keyStatus());
+    if (fixturesMode()) console.log(`Fixtures: ${fixturesMode()} (${fixturesDir()})`);
+    else console.log(cacheTtlMs() > 0 ? `Response cache: ${cacheDir()} (entries expire after ${+(cacheTtlMs() / 3600000).toFixed(2)} h)` : 'Response cache: off');
   });
   server.on('error', (err) => {
     if (err && err.code === 'EADDRINUSE' && retries > 0) {
@@ -332,6 +686,10 @@ function startServer(port, retries = 5) {
     }
   });
 }
+configErrors();
+watchConfig((errors) => {
+  console.log(`Config reloaded (${listProfiles().length} profiles${errors.length ? `, ${errors.length} problem(s) above` : ''})`);
+});
 startServer(basePort);
 
 
@@ -0,0 +1,136 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { sumUsage } from './pricing.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..');
+
+// Conversation sessions persisted to a local JSON file (override with SESSIONS_FILE).
+// A session holds one thread per card, keyed by the card's modelId (the web UI's card id, e.g. "c-k3x9q2";
+// sessions from before cards could be added use model1..model3):
+//   { id, title, createdAt, updatedAt, threads: { "c-k3x9q2": [{ role, content, at, model?, provider?, latencyMs?, params?, usage?, costUsd? }] } }
+function storePath() {
+  return process.env.SESSIONS_FILE || path.join(rootDir, 'data', 'sessions.json');
+}
+
+function readStore() {
+  const filePath = storePath();
+  if (!fs.existsSync(filePath)) return { sessions: {} };
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return data && typeof data.sessions === 'object' ? data : { sessions: {} };
+  } catch (err) {
+    // Move it aside so the next write starts a new file instead of silently replacing the old sessions
+    const aside = `${filePath}.corrupt-${Date.now()}`;
+    fs.renameSync(filePath, aside);
+    console.warn(`Unreadable sessions file ${filePath} (${err.message}); moved it to ${aside}`);
+    return { sessions: {} };
+  }
+}
+
+// Session ids and thread ids come from clients; "constructor" or "__proto__" must not resolve to an
+// Object.prototype member of the plain objects they key
+function own(object, key) {
+  return object && Object.hasOwn(object, key) ? object[key] : undefined;
+}
+
+function writeStore(store) {
+  const filePath = storePath();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  // Write then rename so a crash never leaves a half-written file behind
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2));
+  fs.renameSync(tmp, filePath);
+}
+
+function summarize(session) {
+  const threads = Object.values(session.threads || {});
+  return {
+    id: session.id,
+    title: session.title,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    cards: Object.keys(session.threads || {}).filter((k) => session.threads[k].length > 0),
+    turns: threads.reduce((n, t) => n + t.filter((m) => m.role === 'user').length, 0),
+    usage: sessionUsage(session),
+  };
+}
+
+// Running token and cost totals over every card of a session
+export function sessionUsage(session) {
+  return sumUsage(Object.values(session?.threads || {}).flat().filter((m) => m.role === 'assistant'));
+}
+
+export function createSession({ title, createdAt, threads } = {}) {
+  const store = readStore();
+  const now = new Date().toISOString();
+  const session = {
+    id: randomUUID(),
+    title: typeof title === 'string' && title.trim() ? title.trim() : '',
+    createdAt: createdAt || now,
+    updatedAt: now,
+    threads: threads && typeof threads === 'object' ? threads : {},
+  };
+  store.sessions[session.id] = session;
+  writeStore(store);
+  return session;
+}
+
+// Most recently updated first
+export function listSessions() {
+  return Object.values(readStore().sessions)
+    .map(summarize)
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+export function getSession(id) {
+  return own(readStore().sessions, id) || null;
+}
+
+export function deleteSession(id) {
+  const store = readStore();
+  if (!own(store.sessions, id)) return false;
+  delete store.sessions[id];
+  writeStore(store);
+  return true;
+}
+
+export function getThread(id, threadId) {
+  const session = getSession(id);
+  return own(session?.threads, threadId) || [];
+}
+
+// Append entries to one card's thread; the first user prompt becomes the title of an untitled session
+export function appendToThread(id, threadId, entries) {
+  const store = readStore();
+  const session = own(store.sessions, id);
+  if (!session) return null;
+  const now = new Date().toISOString();
+  let thread = own(session.threads, threadId);
+  if (!thread) {
+    // defineProperty, not assignment: `threads.__proto__ = []` would replace the prototype instead
+    thread = [];
+    Object.defineProperty(session.threads, threadId, { value: thread, enumerable: true, writable: true, configurable: true });
+  }
+  for (const entry of entries) thread.push({ ...entry, at: now });
+  if (!session.title) {
+    const firstPrompt = entries.find((e) => e.role === 'user')?.content;
+    if (firstPrompt) session.title = firstPrompt.replace(/\s+/g, ' ').trim().slice(0, 80);
+  }
+  session.updatedAt = now;
+  writeStore(store);
+  return session;
+}
+
+export function clearThread(id, threadId) {
+  const store = readStore();
+  const session = own(store.sessions, id);
+  if (!session) return null;
+  delete session.threads[threadId];
+  session.updatedAt = new Date().toISOString();
+  writeStore(store);
+  return session;
+}
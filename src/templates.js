@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateConfig } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..');
+
+// Prompt templates: one templates/<name>.json per template (override the directory with TEMPLATES_DIR)
+//   { description?, system?, prompt: "Explain {{topic}} to a {{audience}}", variables?: { audience: { description?, default? } } }
+// Every {{name}} in the prompt or system text is a variable; `variables` only adds descriptions and defaults.
+// Files are read on every call, so edits apply without a restart.
+
+const TEMPLATE_SCHEMA = {
+  description: { type: 'string' },
+  system: { type: 'string' },
+  prompt: { type: 'string', required: true },
+  variables: { type: 'object', values: { description: { type: 'string' }, default: { type: 'string' } } },
+};
+
+const NAME_PATTERN = /^[A-Za-z0-9][\w-]*$/;
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+
+function templatesDir() {
+  return process.env.TEMPLATES_DIR || path.join(rootDir, 'templates');
+}
+
+function readTemplateFile(filePath) {
+  const where = path.relative(rootDir, filePath);
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    return { value: null, errors: [`${where}: invalid JSON (${err.message})`] };
+  }
+  const checked = validateConfig(data, TEMPLATE_SCHEMA, where);
+  if (typeof checked.value.prompt !== 'string') return { value: null, errors: checked.errors };
+  return checked;
+}
+
+// Variables in order of first use: [{ name, description, default }]
+function templateVariables(template) {
+  const names = new Set();
+  for (const text of [template.system, template.prompt]) {
+    for (const match of (text || '').matchAll(VARIABLE_PATTERN)) names.add(match[1]);
+  }
+  return [...names].map((name) => ({
+    name,
+    description: template.variables?.[name]?.description || '',
+    default: template.variables?.[name]?.default,
+  }));
+}
+
+function describeTemplate(name, template) {
+  return {
+    name,
+    description: template.description || '',
+    system: template.system,
+    prompt: template.prompt,
+    variables: templateVariables(template),
+  };
+}
+
+// { templates: [{ name, description, system?, prompt, variables }], errors: [message] }
+export function listTemplates() {
+  const dir = templatesDir();
+  const templates = [];
+  const errors = [];
+  if (!fs.existsSync(dir)) return { templates, errors };
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith('.json')).sort()) {
+    const { value, errors: problems } = readTemplateFile(path.join(dir, file));
+    errors.push(...problems);
+    if (value) templates.push(describeTemplate(path.basename(file, '.json'), value));
+  }
+  return { templates, errors };
+}
+
+export function getTemplate(name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) return null;
+  const filePath = path.join(templatesDir(), `${name}.json`);
+  if (!fs.existsSync(filePath)) return null;
+  const { value } = readTemplateFile(filePath);
+  return value ? describeTemplate(name, value) : null;
+}
+
+// The named template, or an Error whose message lists the available ones
+export function requireTemplate(name) {
+  const template = getTemplate(name);
+  if (template) return template;
+  const available = listTemplates().templates.map((t) => t.name).join(', ') || 'none';
+  throw new Error(`Unknown template "${name}" (available: ${available})`);
+}
+
+// Fill in a template from getTemplate/listTemplates: { prompt, system? }. Throws when a value is missing
+// (and has no default) or a value is given for a variable the template does not use, which is usually a typo.
+export function renderTemplate(template, values = {}) {
+  const { variables } = template;
+  const known = new Set(variables.map((v) => v.name));
+  const unknown = Object.keys(values).filter((key) => !known.has(key));
+  if (unknown.length) {
+    throw new Error(`Template "${template.name}" has no variable ${unknown.map((k) => `"${k}"`).join(', ')} (variables: ${[...known].join(', ') || 'none'})`);
+  }
+  const filled = Object.fromEntries(variables.map((v) => [v.name, values[v.name] ?? v.default]));
+  const missing = variables.filter((v) => filled[v.name] === undefined).map((v) => v.name);
+  if (missing.length) {
+    throw new Error(`Template "${template.name}" needs a value for ${missing.map((k) => `"${k}"`).join(', ')}`);
+  }
+  const fill = (text) => text?.replace(VARIABLE_PATTERN, (_, name) => String(filled[name]));
+  return { prompt: fill(template.prompt), system: fill(template.system) };
+}
+
+// Create or replace templates/<name>.json. Returns { ok, value: { template, created } } or { ok: false, error }.
+export function saveTemplate(name, data) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    return { ok: false, error: 'Template names use letters, digits, "-" and "_"' };
+  }
+  const { name: _ignored, ...fields } = data || {};
+  const checked = validateConfig(fields, TEMPLATE_SCHEMA, `template "${name}"`);
+  if (checked.errors.length) return { ok: false, error: checked.errors.join('; ') };
+  if (!checked.value.prompt.trim()) return { ok: false, error: `template "${name}": "prompt" is empty` };
+  const dir = templatesDir();
+  const filePath = path.join(dir, `${name}.json`);
+  const created = !fs.existsSync(filePath);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(checked.value, null, 2)}\n`);
+  return { ok: true, value: { template: describeTemplate(name, checked.value), created } };
+}
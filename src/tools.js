@@ -0,0 +1,350 @@
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..');
+
+// Local tools the models can call. A tool is
+//   { name, description, parameters, run }
+// where `parameters` is a JSON Schema object (kept to the subset every provider accepts: type,
+// description, properties, required, items, enum) and `run(args, { signal })` resolves to a string
+// or a JSON-serializable value. The adapters translate the definitions into OpenAI tools,
+// Anthropic tool_use and Gemini functionDeclarations; the loop that runs the calls is in src/providers.js.
+
+// Tool output sent back to the model (and kept in the trace) is cut at this many characters
+export const MAX_TOOL_OUTPUT = 20000;
+const MAX_FILE_BYTES = 200 * 1024;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_FETCH_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 5;
+
+const registry = new Map();
+
+export function registerTool(tool) {
+  if (!tool || typeof tool.name !== 'string' || !/^[A-Za-z_][\w-]{0,63}$/.test(tool.name) || typeof tool.run !== 'function') {
+    throw new Error('Tool needs a name (letters, digits, "_" and "-") and a run function');
+  }
+  registry.set(tool.name, { description: '', parameters: { type: 'object', properties: {} }, ...tool });
+}
+
+export function getTool(name) {
+  return registry.get(name) || null;
+}
+
+export function listTools() {
+  return Array.from(registry.values());
+}
+
+// The common definition format the adapters translate: [{ name, description, parameters }]
+export function describeTools(tools = listTools()) {
+  return tools.map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+// Tool names from a request or the CLI -> registered tools. Throws on an unknown name.
+export function resolveTools(names) {
+  return names.map((name) => {
+    const tool = getTool(name);
+    if (!tool) throw new Error(`Unknown tool "${name}" (available: ${listTools().map((t) => t.name).join(', ')})`);
+    return tool;
+  });
+}
+
+function truncate(text) {
+  return text.length > MAX_TOOL_OUTPUT ? `${text.slice(0, MAX_TOOL_OUTPUT)}\n[truncated ${text.length - MAX_TOOL_OUTPUT} characters]` : text;
+}
+
+// Run one call from a model: { id, name, arguments } -> trace entry
+// { id, name, arguments, ok, result? | error?, latencyMs }. Only `tools` (the ones offered to the
+// model) can run. Never throws: a failing tool is reported back to the model, which can then try
+// something else.
+export async function runToolCall(call, { tools = listTools(), signal } = {}) {
+  const startedAt = Date.now();
+  const entry = { id: call.id, name: call.name, arguments: call.arguments };
+  try {
+    const tool = tools.find((t) => t.name === call.name);
+    if (!tool) throw new Error(`Tool "${call.name}" is not available`);
+    if (!call.arguments || typeof call.arguments !== 'object' || Array.isArray(call.arguments)) {
+      throw new Error('Arguments must be a JSON object');
+    }
+    const value = await tool.run(call.arguments, { signal });
+    entry.ok = true;
+    entry.result = truncate(typeof value === 'string' ? value : JSON.stringify(value));
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    entry.ok = false;
+    entry.error = String(err?.message || err);
+  }
+  entry.latencyMs = Date.now() - startedAt;
+  return entry;
+}
+
+// ----- calculator -----
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+  exp: Math.exp, ln: Math.log, log: Math.log10, log2: Math.log2, sin: Math.sin, cos: Math.cos, tan: Math.tan,
+  asin: Math.asin, acos: Math.acos, atan: Math.atan, min: Math.min, max: Math.max, pow: Math.pow,
+};
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+const TOKEN = /\s*(?:((?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)|([A-Za-z_]\w*)|(\*\*|[-+*/%^(),])|(\S))/giy;
+
+// Arithmetic only: numbers, + - * / % ^ (or **), parentheses, FUNCTIONS and CONSTANTS. No eval.
+export function evaluateExpression(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  for (let match; (match = TOKEN.exec(source));) {
+    if (match[4]) throw new Error(`Unexpected "${match[4]}"`);
+    tokens.push(match[1] ? { number: Number(match[1]) } : match[2] ? { name: match[2].toLowerCase() } : { op: match[3] });
+  }
+  let pos = 0;
+  const peek = () => tokens[pos]?.op;
+  const expect = (op) => {
+    if (peek() !== op) throw new Error(`Expected "${op}"`);
+    pos += 1;
+  };
+
+  function expression() {
+    let value = term();
+    while (peek() === '+' || peek() === '-') value = tokens[pos++].op === '+' ? value + term() : value - term();
+    return value;
+  }
+  function term() {
+    let value = unary();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const op = tokens[pos++].op;
+      const right = unary();
+      value = op === '*' ? value * right : op === '/' ? value / right : value % right;
+    }
+    return value;
+  }
+  function unary() {
+    if (peek() === '-' || peek() === '+') return tokens[pos++].op === '-' ? -unary() : unary();
+    return power();
+  }
+  // Right-associative, and binds tighter than a leading minus: -2^2 is -4
+  function power() {
+    const base = primary();
+    if (peek() === '^' || peek() === '**') {
+      pos += 1;
+      return base ** unary();
+    }
+    return base;
+  }
+  function primary() {
+    const token = tokens[pos++];
+    if (!token) throw new Error('Unexpected end of expression');
+    if ('number' in token) return token.number;
+    if (token.op === '(') {
+      const value = expression();
+      expect(')');
+      return value;
+    }
+    if (token.name) {
+      if (peek() !== '(') {
+        if (token.name in CONSTANTS) return CONSTANTS[token.name];
+        throw new Error(`Unknown name "${token.name}"`);
+      }
+      const fn = FUNCTIONS[token.name];
+      if (!fn) throw new Error(`Unknown function "${token.name}"`);
+      pos += 1;
+      const args = peek() === ')' ? [] : [expression()];
+      while (peek() === ',') {
+        pos += 1;
+        args.push(expression());
+      }
+      expect(')');
+      return fn(...args);
+    }
+    throw new Error(`Unexpected "${token.op}"`);
+  }
+
+  const value = expression();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].op ?? tokens[pos].name ?? tokens[pos].number}"`);
+  if (!Number.isFinite(value)) throw new Error('The result is not a finite number');
+  return value;
+}
+
+registerTool({
+  name: 'calculator',
+  description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, pi, e and the functions '
+    + `${Object.keys(FUNCTIONS).join(', ')} (log is base 10, ln is natural).`,
+  parameters: {
+    type: 'object',
+    properties: { expression: { type: 'string', description: 'The expression, e.g. "sqrt(2) * (3 + 4)^2"' } },
+    required: ['expression'],
+  },
+  run: ({ expression }) => {
+    if (typeof expression !== 'string' || !expression.trim()) throw new Error('"expression" is required');
+    return String(evaluateExpression(expression));
+  },
+});
+
+// ----- read_file -----
+
+// Only files under this directory can be read (TOOLS_SANDBOX_DIR, default ./sandbox)
+export function sandboxDir() {
+  return path.resolve(process.env.TOOLS_SANDBOX_DIR || path.join(rootDir, 'sandbox'));
+}
+
+// Resolve a model-supplied path inside the sandbox; symlinks pointing outside it are refused too
+function sandboxPath(relative) {
+  const root = fs.realpathSync(sandboxDir());
+  const target = path.resolve(root, String(relative || '.').replace(/^[/\\]+/, ''));
+  const inside = (p) => p === root || p.startsWith(root + path.sep);
+  if (!inside(target)) throw new Error('Path is outside the sandbox');
+  let real;
+  try {
+    real = fs.realpathSync(target);
+  } catch {
+    throw new Error(`No such file: ${relative}`);
+  }
+  if (!inside(real)) throw new Error('Path is outside the sandbox');
+  return real;
+}
+
+registerTool({
+  name: 'read_file',
+  description: 'Read a text file from the sandbox directory, or list a directory in it. Paths are relative to the sandbox root; "." lists the root.',
+  parameters: {
+    type: 'object',
+    properties: { path: { type: 'string', description: 'File or directory path relative to the sandbox root' } },
+    required: ['path'],
+  },
+  run: ({ path: relative }) => {
+    if (!fs.existsSync(sandboxDir())) throw new Error('The sandbox directory does not exist');
+    const target = sandboxPath(relative);
+    const stat = fs.statSync(target);
+    if (stat.isDirectory()) {
+      const entries = fs.readdirSync(target, { withFileTypes: true }).map((d) => (d.isDirectory() ? `${d.name}/` : d.name)).sort();
+      return entries.length ? entries.join('\n') : '(empty directory)';
+    }
+    if (stat.size > MAX_FILE_BYTES) throw new Error(`File is larger than ${MAX_FILE_BYTES / 1024} KB`);
+    const bytes = fs.readFileSync(target);
+    if (bytes.includes(0)) throw new Error('Not a text file');
+    return bytes.toString('utf8');
+  },
+});
+
+// ----- http_get -----
+
+// Hosts the model must not reach through the server: this machine, its private network and cloud
+// metadata endpoints (169.254.169.254), in IPv4 and IPv6 (IPv4-mapped IPv6 addresses included)
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  // Anything that is not a plain address is refused rather than guessed at
+  if (!family) return true;
+  return PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function privateHostError(host, address) {
+  return new Error(`${host}${address && address !== host ? ` (${address})` : ''} is a loopback, private or link-local address; only public hosts can be fetched`);
+}
+
+// dns.lookup that fails for private addresses. It runs when the socket connects, so the address
+// checked is the one used (a host cannot resolve to a public address for a check and a private one after).
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked) return callback(privateHostError(hostname, blocked.address));
+    callback(null, address, family);
+  });
+}
+
+// With TOOLS_FETCH_BASE_URL set, every request goes to that server instead (same path and query,
+// original URL in X-Original-URL), so runs can be pointed at a local stub and compared reproducibly.
+// That server is chosen by whoever runs this, so it is not held to the public-host rule.
+function fetchRequest(url) {
+  const base = process.env.TOOLS_FETCH_BASE_URL;
+  if (!base) return { target: url, headers: {}, guarded: true };
+  return { target: new URL(`${url.pathname}${url.search}`, base), headers: { 'X-Original-URL': url.href }, guarded: false };
+}
+
+function checkedUrl(href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch {
+    throw new Error(`Invalid URL: ${href}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('Only http and https URLs can be fetched');
+  return url;
+}
+
+// One GET without following redirects; resolves to the response stream
+function getOnce(url, signal) {
+  const { target, headers, guarded } = fetchRequest(url);
+  // Literal addresses never go through the lookup
+  const host = target.hostname.replace(/^\[|\]$/g, '');
+  if (guarded && net.isIP(host) && isPrivateAddress(host)) throw privateHostError(host);
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.get(target, { headers, signal, ...(guarded ? { lookup: publicLookup } : {}) }, resolve);
+    request.on('error', reject);
+  });
+}
+
+// The body as text, at most MAX_FETCH_BYTES of it; the rest is not downloaded
+async function readBody(response) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    if (size + chunk.length > MAX_FETCH_BYTES) {
+      chunks.push(chunk.subarray(0, MAX_FETCH_BYTES - size));
+      response.destroy();
+      return `${Buffer.concat(chunks).toString('utf8')}\n[truncated after ${MAX_FETCH_BYTES / 1024} KB]`;
+    }
+    chunks.push(chunk);
+    size += chunk.length;
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+registerTool({
+  name: 'http_get',
+  description: 'Fetch a public URL with an HTTP GET request and return the status line and the response body as text.',
+  parameters: {
+    type: 'object',
+    properties: { url: { type: 'string', description: 'Absolute http or https URL' } },
+    required: ['url'],
+  },
+  run: async ({ url }, { signal } = {}) => {
+    let current = checkedUrl(url);
+    const timeout = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+    const combined = signal ? AbortSignal.any([signal, timeout]) : timeout;
+    try {
+      // Redirects are followed here, so every hop's host is checked like the first
+      for (let hop = 0; ; hop++) {
+        const response = await getOnce(current, combined);
+        const { location } = response.headers;
+        if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+          response.resume();
+          if (hop >= MAX_REDIRECTS) throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+          current = checkedUrl(new URL(location, current).href);
+          continue;
+        }
+        const body = await readBody(response);
+        return `HTTP ${response.statusCode} ${response.statusMessage}\n\n${body}`;
+      }
+    } catch (err) {
+      if (timeout.aborted && !signal?.aborted) throw new Error(`No response within ${FETCH_TIMEOUT_MS / 1000}s`);
+      throw err;
+    }
+  },
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runBatch } from '../src/batch.js';
+
+delete process.env.FIXTURES_MODE;
+delete process.env.MOCK_LATENCY_MS;
+
+function readRows(file) {
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+}
+
+test('a resumed batch runs transient failures again and replaces their rows', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-test-'));
+  try {
+    const inputPath = path.join(dir, 'input.jsonl');
+    fs.writeFileSync(inputPath, ['down now', 'bad one', 'fine'].map((prompt, i) => JSON.stringify({ id: `p${i + 1}`, prompt })).join('\n'));
+    const scriptPath = path.join(dir, 'mock.json');
+    const writeScript = (rules) => fs.writeFileSync(scriptPath, JSON.stringify({ rules }));
+    const badRule = { match: 'bad', error: { status: 400, message: 'bad' } };
+    process.env.MOCK_PROVIDER = scriptPath;
+    const options = { inputPath, models: { mock: 'mock-echo' }, timeoutMs: 1000 };
+
+    writeScript([{ match: 'down', times: 3, error: { status: 503, message: 'down' } }, badRule]);
+    const first = await runBatch(options);
+    assert.deepEqual([first.ok, first.failed, first.skipped], [1, 2, 0]);
+
+    writeScript([badRule]);
+    const second = await runBatch(options);
+    assert.deepEqual([second.total, second.ok, second.failed, second.skipped], [1, 1, 0, 2]);
+
+    const rows = readRows(first.outputPath);
+    assert.deepEqual(rows.map((r) => [r.id, r.ok, r.errorCategory]), [
+      ['p2', false, 'invalid-request'],
+      ['p3', true, undefined],
+      ['p1', true, undefined],
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runEval, writeEvalReport } from '../src/eval.js';
+
+process.env.MOCK_PROVIDER = '1';
+delete process.env.FIXTURES_MODE;
+
+const SUITE = [
+  { id: 'echo', prompt: 'ping', expect: { equals: 'Echo: ping' } },
+  { id: 'miss', prompt: 'pong', expect: { contains: 'ping' } },
+  { id: 'regex', prompt: 'What is 17 * 23?', expect: { regex: '17 \\* 23', flags: 'i' } },
+  { id: 'city', prompt: 'Describe Lisbon', expect: { schema: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] } } },
+];
+
+function writeSuite(dir) {
+  const suitePath = path.join(dir, 'suite.jsonl');
+  fs.writeFileSync(suitePath, SUITE.map((line) => JSON.stringify(line)).join('\n'));
+  return suitePath;
+}
+
+test('scores every case against the mock provider and writes the HTML report', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-test-'));
+  try {
+    const suitePath = writeSuite(dir);
+    const report = await runEval({
+      suitePath,
+      targets: [{ provider: 'mock', model: 'mock-echo' }, { provider: 'mock', model: 'mock-error' }],
+      concurrency: 2,
+    });
+
+    assert.deepEqual(report.problems, []);
+    const echo = report.models.find((m) => m.model === 'mock-echo');
+    assert.equal(echo.cases, 4);
+    assert.equal(echo.passed, 3);
+    assert.equal(echo.errors, 0);
+    assert.equal(echo.passRate, 0.75);
+    assert.deepEqual(
+      report.results.filter((r) => r.model === 'mock-echo').map((r) => [r.id, r.passed]),
+      [['echo', true], ['miss', false], ['regex', true], ['city', true]]
+    );
+    assert.equal(report.results.find((r) => r.id === 'miss' && r.model === 'mock-echo').checks[0].reason, 'does not contain "ping"');
+
+    const failing = report.models.find((m) => m.model === 'mock-error');
+    assert.equal(failing.passed, 0);
+    assert.equal(failing.errors, 4);
+    assert.ok(report.results.filter((r) => r.model === 'mock-error').every((r) => r.errorCategory === 'invalid-request'));
+
+    const reportPath = writeEvalReport(report);
+    assert.equal(reportPath, path.join(dir, 'suite.report.html'));
+    const html = fs.readFileSync(reportPath, 'utf8');
+    assert.match(html, /^<!doctype html>/);
+    assert.match(html, /<td class="rate">75%<\/td>/);
+    assert.match(html, /Error \(invalid-request\)/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('reports suite lines without expectations instead of running them', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-test-'));
+  try {
+    const suitePath = path.join(dir, 'suite.jsonl');
+    fs.writeFileSync(suitePath, `${JSON.stringify({ id: 'bare', prompt: 'hi' })}\n${JSON.stringify(SUITE[0])}\n`);
+    const report = await runEval({ suitePath, targets: [{ provider: 'mock', model: 'mock-echo' }] });
+    assert.deepEqual(report.problems, ['case bare: missing "expect"']);
+    assert.equal(report.results.length, 1);
+    assert.equal(report.models[0].passRate, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
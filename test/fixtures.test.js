@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { withFixtures, hasFixtures, answerRequest, requestFileName } from '../src/fixtures.js';
+import { hasProviderKey } from '../src/providers.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-test-'));
+process.env.FIXTURES_DIR = dir;
+delete process.env.FIXTURE_TEST_KEY;
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A provider whose every live call is counted, so replayed answers can be told apart
+function countingProvider() {
+  const provider = {
+    id: 'fixture-test',
+    label: 'Fixture test',
+    envKeys: ['FIXTURE_TEST_KEY'],
+    calls: 0,
+    async ask({ prompt }) {
+      provider.calls += 1;
+      return { text: `Live answer ${provider.calls} to ${prompt}`, usage: { inputTokens: 3, outputTokens: 5, reasoningTokens: 0 } };
+    },
+    async* stream({ prompt }) {
+      provider.calls += 1;
+      yield 'Streamed ';
+      yield `answer to ${prompt}`;
+      yield { usage: { inputTokens: 3, outputTokens: 4, reasoningTokens: 0 } };
+    },
+  };
+  return withFixtures(provider);
+}
+
+async function collect(stream) {
+  const parts = [];
+  for await (const part of stream) parts.push(part);
+  return parts;
+}
+
+test('a recorded answer replays without calling the provider or needing its key', async () => {
+  const provider = countingProvider();
+  const options = { prompt: 'What is 2 + 2?', model: 'fixture-model', temperature: 0 };
+
+  process.env.FIXTURES_MODE = 'record';
+  assert.equal(hasFixtures(provider.id), false);
+  const recorded = await provider.ask(options);
+  assert.equal(provider.calls, 1);
+  const file = path.join(dir, requestFileName(answerRequest(provider, options)));
+  assert.ok(fs.existsSync(file));
+
+  process.env.FIXTURES_MODE = 'replay';
+  assert.equal(hasFixtures(provider.id), true);
+  assert.equal(hasProviderKey(provider), true);
+  const replayed = await provider.ask(options);
+  assert.deepEqual(replayed, recorded);
+  assert.equal(provider.calls, 1);
+});
+
+test('streamed answers are recorded chunk by chunk and replayed', async () => {
+  const provider = countingProvider();
+  const options = { prompt: 'stream me', model: 'fixture-model' };
+
+  process.env.FIXTURES_MODE = 'record';
+  const recorded = await collect(provider.stream(options));
+
+  process.env.FIXTURES_MODE = 'replay';
+  assert.deepEqual(await collect(provider.stream(options)), recorded);
+  assert.equal(provider.calls, 1);
+});
+
+test('a request that was not recorded fails in replay mode', async () => {
+  const provider = countingProvider();
+  process.env.FIXTURES_MODE = 'replay';
+  await assert.rejects(provider.ask({ prompt: 'never asked', model: 'fixture-model' }), { name: 'FixtureMissingError' });
+  assert.equal(provider.calls, 0);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULTS, getProvider, askProvider } from '../src/providers.js';
+import { runWithRetries, retryAfterMs } from '../src/retry.js';
+import { askProviders } from '../src/ask.js';
+
+process.env.MOCK_PROVIDER = '1';
+delete process.env.MOCK_LATENCY_MS;
+delete process.env.FIXTURES_MODE;
+
+// The default number of attempts, without waiting out the default backoff
+const POLICY = { ...DEFAULTS.retry, baseDelayMs: 1, maxDelayMs: 10 };
+
+function askMock(model, prompt, options = {}) {
+  const mock = getProvider('mock');
+  return runWithRetries(mock.label, (signal) => askProvider(mock, { prompt, model, signal }), { policy: POLICY, ...options });
+}
+
+test('a flaky mock is retried and then succeeds', async () => {
+  const result = await askMock('mock-flaky', 'flaky once');
+  assert.equal(result.ok, true);
+  assert.equal(result.attempts, 2);
+  assert.equal(result.value.text, 'Echo: flaky once');
+});
+
+test('a mock that never answers times out on every attempt', async () => {
+  const result = await askMock('mock-timeout', 'too slow', { timeoutMs: 30 });
+  assert.equal(result.ok, false);
+  assert.equal(result.errorCategory, 'timeout');
+  assert.equal(result.attempts, DEFAULTS.retry.attempts);
+  assert.match(result.error.message, /timed out after 30ms/);
+});
+
+test('a non-transient error is not retried', async () => {
+  const result = await askMock('mock-error', 'bad request');
+  assert.equal(result.ok, false);
+  assert.equal(result.errorCategory, 'invalid-request');
+  assert.equal(result.attempts, 1);
+});
+
+test('askProviders reports the attempts and the history sent', async () => {
+  const history = [{ role: 'user', content: 'first' }, { role: 'assistant', content: 'Echo: first' }];
+  const { mock } = await askProviders({ prompt: 'second', history, models: { mock: 'mock-flaky' }, cache: false });
+  assert.equal(mock.ok, true);
+  assert.equal(mock.attempts, 2);
+  assert.equal(mock.text, 'Echo: second (2 earlier messages)');
+  assert.equal(mock.costUsd, null);
+});
+
+test('Retry-After is read from fetch Headers as well as plain header objects', () => {
+  assert.equal(retryAfterMs({ headers: new Headers({ 'retry-after': '30' }) }), 30000);
+  assert.equal(retryAfterMs({ headers: new Headers({ 'retry-after-ms': '250', 'retry-after': '30' }) }), 250);
+  assert.equal(retryAfterMs({ headers: { 'retry-after': '2' } }), 2000);
+  assert.equal(retryAfterMs({ headers: new Headers() }), undefined);
+  assert.equal(retryAfterMs({}), undefined);
+});
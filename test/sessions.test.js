@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSession, getSession, getThread, appendToThread, clearThread } from '../src/sessions.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-test-'));
+process.env.SESSIONS_FILE = path.join(dir, 'sessions.json');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('thread ids that name Object.prototype members are ordinary threads', () => {
+  const session = createSession();
+  for (const threadId of ['constructor', 'toString', '__proto__']) {
+    assert.deepEqual(getThread(session.id, threadId), [], threadId);
+    appendToThread(session.id, threadId, [{ role: 'user', content: threadId }]);
+    assert.deepEqual(getThread(session.id, threadId).map((m) => m.content), [threadId]);
+  }
+  assert.deepEqual(Object.keys(getSession(session.id).threads), ['constructor', 'toString', '__proto__']);
+  clearThread(session.id, '__proto__');
+  assert.deepEqual(getThread(session.id, '__proto__'), []);
+  assert.equal(getSession('constructor'), null);
+});
+
+test('an unreadable sessions file is moved aside, not overwritten', () => {
+  fs.writeFileSync(process.env.SESSIONS_FILE, '{ "sessions": { broken');
+  const session = createSession({ title: 'after' });
+  const aside = fs.readdirSync(dir).filter((f) => f.startsWith('sessions.json.corrupt-'));
+  assert.equal(aside.length, 1);
+  assert.equal(fs.readFileSync(path.join(dir, aside[0]), 'utf8'), '{ "sessions": { broken');
+  assert.equal(getSession(session.id).title, 'after');
+});
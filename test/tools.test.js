@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { runToolCall, getTool } from '../src/tools.js';
+
+delete process.env.TOOLS_FETCH_BASE_URL;
+
+function httpGet(url) {
+  return runToolCall({ id: 'call-1', name: 'http_get', arguments: { url } }, { tools: [getTool('http_get')] });
+}
+
+test('http_get refuses loopback, private and link-local hosts', async () => {
+  for (const url of ['http://127.0.0.1/', 'http://localhost/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://169.254.169.254/latest/meta-data', 'http://10.0.0.1/', 'http://192.168.1.1/', 'http://2130706433/']) {
+    const entry = await httpGet(url);
+    assert.equal(entry.ok, false, url);
+    assert.match(entry.error, /only public hosts can be fetched/, url);
+  }
+});
+
+test('http_get follows redirects hop by hop', async () => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/moved') {
+      res.writeHead(302, { location: '/landed' });
+      return res.end();
+    }
+    res.writeHead(200);
+    res.end(`arrived at ${req.headers['x-original-url']}`);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  // The stub server stands in for the web, as TOOLS_FETCH_BASE_URL is meant for
+  process.env.TOOLS_FETCH_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const entry = await httpGet('https://example.com/moved');
+    assert.equal(entry.ok, true);
+    assert.equal(entry.result, 'HTTP 200 OK\n\narrived at https://example.com/landed');
+  } finally {
+    delete process.env.TOOLS_FETCH_BASE_URL;
+    server.close();
+  }
+});